@@ -0,0 +1,166 @@
+/**
+ * Fetch proxy for URL mode (npm run proxy)
+ * - GET /fetch?url=https://… returns the page as-is, with CORS headers, so the
+ *   app can extract the article itself
+ * - Listens on localhost only and answers only requests from the app's
+ *   origin; requests without an Origin header (curl, the address bar) are
+ *   refused unless ALLOW_ORIGIN is "*". PORT (default 8787) and ALLOW_ORIGIN
+ *   (default http://localhost:3000, the dev server) can be set in the
+ *   environment
+ * - Only http(s) pages on public addresses, up to 10 MB, 15 s per request
+ * No dependencies: Node 18+.
+ */
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const PORT = Number(process.env.PORT) || 8787;
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || "http://localhost:3000";
+const MAX_BYTES = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const TIMEOUT_MS = 15000;
+
+// Keeps the proxy from being pointed back at this machine or the school
+// network. Addresses are checked after DNS, at connect time, for every
+// redirect hop; IPv4-mapped IPv6 addresses are checked as IPv4.
+const BLOCKED = new net.BlockList();
+for (const [net4, bits] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 3], // multicast and reserved
+])
+  BLOCKED.addSubnet(net4, bits, "ipv4");
+for (const [net6, bits] of [
+  ["::", 127], // unspecified and loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["fec0::", 10], // site-local (deprecated)
+  ["ff00::", 8], // multicast
+])
+  BLOCKED.addSubnet(net6, bits, "ipv6");
+
+const isBlocked = (address) =>
+  BLOCKED.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// dns.lookup with the private-address check, so the address that gets
+// checked is the one that gets connected to.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some((a) => isBlocked(a.address)))
+      return callback(new Error(`${hostname} is a private address`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": ALLOW_ORIGIN,
+    Vary: "Origin",
+    "Content-Type": "text/plain; charset=utf-8",
+    ...headers,
+  });
+  res.end(body);
+}
+
+// One request, no redirects followed. Resolves with the status, headers and
+// body (the body is skipped for redirects).
+function request(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlocked(host))
+    return Promise.reject(new Error(`${host} is a private address`));
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(
+      url,
+      {
+        lookup: publicLookup,
+        timeout: TIMEOUT_MS,
+        headers: {
+          "User-Agent": "Mozilla/5.0 (PlugAndPlayLesson fetch proxy)",
+          Accept: "text/html,application/xhtml+xml,application/pdf,text/plain",
+        },
+      },
+      (upstream) => {
+        const { statusCode: status, headers } = upstream;
+        if (status >= 300 && status < 400 && headers.location) {
+          upstream.resume();
+          return resolve({ status, headers });
+        }
+        if (Number(headers["content-length"] || 0) > MAX_BYTES) {
+          upstream.destroy();
+          return reject(new Error("Page is too large"));
+        }
+        const chunks = [];
+        let size = 0;
+        upstream.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > MAX_BYTES)
+            return upstream.destroy(new Error("Page is too large"));
+          chunks.push(chunk);
+        });
+        upstream.on("error", reject);
+        upstream.on("end", () =>
+          resolve({ status, headers, body: Buffer.concat(chunks) })
+        );
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Timed out")));
+    req.on("error", reject);
+  });
+}
+
+async function proxy(target, res) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    return send(res, 400, "url must be a full http(s) address");
+  }
+  // Redirects are followed here, one hop at a time, so each target is
+  // checked before anything is sent to it.
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!/^https?:$/.test(url.protocol))
+      return send(res, 403, "Only public http(s) pages can be fetched");
+    const upstream = await request(url);
+    if (!upstream.body) {
+      url = new URL(upstream.headers.location, url);
+      continue;
+    }
+    return send(res, upstream.status, upstream.body, {
+      "Content-Type":
+        upstream.headers["content-type"] || "application/octet-stream",
+    });
+  }
+  send(res, 502, "Too many redirects");
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname, searchParams } = new URL(req.url, "http://localhost");
+  // Other sites' fetches are turned away, not just kept from reading the
+  // answer, so a page the teacher has open can't use the proxy. Browsers
+  // always send Origin on the app's cross-origin fetches, so a request
+  // without one isn't from the app.
+  if (ALLOW_ORIGIN !== "*" && req.headers.origin !== ALLOW_ORIGIN)
+    return send(res, 403, "This proxy only serves the lesson app");
+  if (req.method === "OPTIONS") return send(res, 204, "");
+  if (req.method !== "GET" || pathname !== "/fetch")
+    return send(res, 404, "Use GET /fetch?url=https://…");
+  proxy(searchParams.get("url") || "", res).catch((e) =>
+    send(res, 502, `Couldn't fetch the page: ${e.message || e}`)
+  );
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`Fetch proxy on http://localhost:${PORT}/fetch?url=…`);
+  console.log(`Serving ${ALLOW_ORIGIN}`);
+});
@@ -1,11 +1,63 @@
-import React, { useEffect, useMemo, useState, useRef } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useReducer,
+  useState,
+  useRef,
+} from "react";
 import confetti from "canvas-confetti";
+import PptxGenJS from "pptxgenjs";
+import {
+  DndContext,
+  KeyboardSensor,
+  PointerSensor,
+  closestCorners,
+  useDroppable,
+  useSensor,
+  useSensors,
+} from "@dnd-kit/core";
+import {
+  SortableContext,
+  arrayMove,
+  sortableKeyboardCoordinates,
+  useSortable,
+  verticalListSortingStrategy,
+} from "@dnd-kit/sortable";
 
 /**
  * Plug & Play Lesson Games (React, single-file)
- * - URL/Text → Summary + Vocab (Gemini)
- * - Teacher’s Trivia (5×5)
+ * - URL/Text → Summary + Vocab (pluggable AI: Gemini, OpenAI-compatible, offline demo)
+ * - Upload a PDF, Word, text, Markdown or HTML file: text is extracted in the browser,
+ *   with a page range, header/footer cleanup and an editable preview before building
+ * - URL mode fetches directly or through the school's proxy (or `npm run proxy`), extracts
+ *   the article on the device (no third-party reader) and previews it before building
+ * - Long sources (whole chapters) are read in parts: notes per part, merged and de-duplicated,
+ *   then the summary, vocab and trivia board come from the merged notes; size shown up front
+ * - Vocab curation: edit, reorder and pick which terms become wheel puzzles
+ * - Teacher’s Trivia (3×3 up to 6×6, custom value ladders), editable with drag & drop,
+ *   Daily Doubles + Final round
+ * - Export to PowerPoint: summary, vocab and a hyperlinked trivia board
+ * - Lesson packs: save/load the whole lesson as versioned JSON
+ * - Games autosave per lesson (localStorage) with Resume / New game
+ * - Seeded randomness: every game shows its seed; same seed + same moves = same game,
+ *   and a Wonder Wheel game can be replayed move by move
+ * - Game rules are pure engines (wheelReducer, triviaReducer) with an action API,
+ *   covered by App.test.js (npm test)
+ * - Score ledger: every score change is logged, with undo/redo and manual adjustments
+ * - Shared roster: players or teams, rename/reorder/remove, class-list import
+ * - Dual-screen: answer-free audience window (?display=audience) synced over BroadcastChannel
+ * - Buzz-in mode for Teacher’s Trivia: per-player keys or buzzer tabs, early-buzz lockout
+ * - Auto-judge for Teacher’s Trivia: fuzzy-matches typed answers (typos, plurals, number
+ *   words, alternates) and suggests a verdict with a confidence the teacher can accept
+ * - Shot clocks (optional): countdown rings with warning pips for answering a clue, calling
+ *   a letter and a wheel turn; time's up counts as Incorrect / passes the turn. Pause, +10s, off
  * - Wonder Wheel (SVG): Wheel-of-Fortune–style wedges, readable labels, multi-rotation spins
+ *   + Swipe-to-spin physics: friction, pegs that tick and flick the pointer
+ *   + Editable wedges: label/type/value/color, per-wedge size and odds, saved presets
+ *   + Round banks: letter money is held per puzzle and only the solver banks it
+ *   + Classic letter rules: consonants after a spin, vowels bought from the round bank
+ *   + Puzzles: terms or teacher-written phrases with categories, on a word-wrapping board
  *   + Two hint systems above the puzzle:
  *     1) 💡 Reveal Letter — reveals a random hidden letter (3 per puzzle)
  *     2) 🧭 Context Hint — definition-style clue without the word (3 per puzzle)
@@ -13,605 +65,6714 @@ import confetti from "canvas-confetti";
 
 // ---------- helpers ----------
 const cx = (...xs) => xs.filter(Boolean).join(" ");
-function proxyFetchText(url) {
-  const prox = "https://r.jina.ai/http://" + url.replace(/^https?:\/\//, "");
-  return fetch(prox).then((r) => {
-    if (!r.ok) throw new Error("Could not fetch text from URL");
-    return r.text();
-  });
-}
 const cleanCompare = (s) => (s || "").toUpperCase().replace(/[^A-Z]/g, "");
+const dragTransform = (t) =>
+  t ? `translate3d(${Math.round(t.x)}px, ${Math.round(t.y)}px, 0)` : undefined;
+// Tiny beeps for game sounds; one AudioContext is shared by every game.
+let audioCtx = null;
+function beep(freq = 800, duration = 0.08, type = "square", gain = 0.05) {
+  if (!audioCtx) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    audioCtx = new Ctx();
+  }
+  audioCtx.resume();
+  const now = audioCtx.currentTime;
+  const osc = audioCtx.createOscillator();
+  const g = audioCtx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, now);
+  g.gain.setValueAtTime(gain, now);
+  g.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+  osc.connect(g).connect(audioCtx.destination);
+  osc.start(now);
+  osc.stop(now + duration);
+}
+let uidSeq = 0;
+const uid = (prefix = "id") =>
+  `${prefix}-${Date.now().toString(36)}-${(uidSeq++).toString(36)}`;
 
-// ---------- Gemini ----------
-async function geminiSummarizeAndVocab({ apiKey, text }) {
-  const url =
-    "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=" +
-    encodeURIComponent(apiKey);
+// ---------- Randomness ----------
+// Game code never calls Math.random: every random choice takes an rng made by
+// createRng, so a seed reproduces the whole game. The generator (mulberry32)
+// keeps all of its state in one 32-bit number, which games save alongside
+// their progress so a resumed game carries on the same sequence.
+const newSeed = () => Math.random().toString(36).slice(2, 8).toUpperCase();
 
-  const prompt = `You are helping a 4th grade teacher design a lesson.
+function hashSeed(seed) {
+  let h = 2166136261; // FNV-1a
+  for (const ch of String(seed)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
 
-TASKS:
-1) Write a friendly, one-paragraph summary (3-5 sentences) for 4th graders about the content below.
-2) Extract 8-14 important KEY VOCABULARY terms appropriate for 4th graders and provide short, kid-friendly definitions.
+function createRng(seed, state = hashSeed(seed)) {
+  let s = state >>> 0;
+  const next = () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    seed,
+    next,
+    int: (n) => Math.floor(next() * n),
+    get state() {
+      return s;
+    },
+  };
+}
 
-FORMAT your response as strict JSON with this exact shape:
-{"summary":"...","vocab":[{"term":"...","definition":"..."}]}
+// ---------- Source files (upload) ----------
+// A lesson can start from a file on the teacher's computer. Text is extracted
+// in the browser, and the heavy readers (pdf.js, JSZip) only load when a file
+// of their kind is dropped. Readers return a list of pages (PDF) or a single
+// page, so the preview can trim by page before anything is sent to the AI.
+const SOURCE_FILE_ACCEPT = ".pdf,.docx,.txt,.md,.markdown,.html,.htm";
+const MAX_SOURCE_FILE_MB = 25;
+const BLOCK_TAGS = new Set([
+  "address",
+  "article",
+  "blockquote",
+  "dd",
+  "div",
+  "dl",
+  "dt",
+  "figcaption",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "li",
+  "main",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "table",
+  "td",
+  "th",
+  "tr",
+  "ul",
+]);
 
-CONTENT START
-${text}
-CONTENT END`;
-
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-      generationConfig: { temperature: 0.6, maxOutputTokens: 1200 },
-    }),
-  });
-  if (!res.ok)
-    throw new Error(`Gemini error ${res.status}: ${await res.text()}`);
-  const data = await res.json();
-  const out = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-  let obj;
+function sourceFileKind(file) {
+  const ext = (file.name.split(".").pop() || "").toLowerCase();
+  if (ext === "pdf" || file.type === "application/pdf") return "pdf";
+  if (ext === "docx") return "docx";
+  if (ext === "html" || ext === "htm" || file.type === "text/html")
+    return "html";
+  if (ext === "md" || ext === "markdown") return "markdown";
+  if (ext === "txt" || file.type.startsWith("text/")) return "text";
+  return null;
+}
+
+// Cleans up text that was laid out for print: ligatures, soft hyphens,
+// words split across lines and sentences wrapped mid-line. Paragraph breaks
+// (blank lines) survive.
+export function tidySourceText(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u00ad/g, "")
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/(\p{L})-\n(\p{Ll})/gu, "$1$2")
+    .replace(/([^\n.!?:;])\n(?=[\p{Ll}\d(])/gu, "$1 ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Running headers, footers and page numbers repeat on most pages of a
+// textbook PDF; lines near the top or bottom of a page that do are dropped.
+export function dropRunningLines(pages) {
+  const pageNumber = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i;
+  const keyOf = (line) => line.toLowerCase().replace(/\d+/g, "#").trim();
+  const edges = (lines) => [...lines.slice(0, 2), ...lines.slice(-2)];
+  const split = pages.map((p) => p.split("\n"));
+  const seen = new Map();
+  if (pages.length >= 3)
+    for (const lines of split)
+      for (const key of new Set(edges(lines).map(keyOf).filter(Boolean)))
+        seen.set(key, (seen.get(key) || 0) + 1);
+  const running = (key) => (seen.get(key) || 0) >= pages.length / 2;
+  return split.map((lines) =>
+    lines
+      .filter((line, i) => {
+        const t = line.trim();
+        if (pageNumber.test(t)) return false;
+        const edge = i < 2 || i >= lines.length - 2;
+        return !(edge && t && running(keyOf(t)));
+      })
+      .join("\n")
+  );
+}
+
+// Walks a DOM tree, putting block elements on their own paragraphs.
+function blockText(root) {
+  let out = "";
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) out += child.textContent.replace(/\s+/g, " ");
+      if (child.nodeType !== 1) continue;
+      const tag = child.tagName.toLowerCase();
+      if (tag === "br") {
+        out += "\n";
+        continue;
+      }
+      const block = BLOCK_TAGS.has(tag);
+      if (block) out += "\n\n";
+      walk(child);
+      if (block) out += "\n\n";
+    }
+  };
+  if (root) walk(root);
+  return out
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export function markdownToText(md) {
+  return String(md || "")
+    .replace(/^```.*$/gm, "")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/^ {0,3}#{1,6}\s+/gm, "")
+    .replace(/^ {0,3}>\s?/gm, "")
+    .replace(/^ {0,3}([-*_])( *\1){2,} *$/gm, "")
+    .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, "$2");
+}
+
+// A .docx is a zip; the body text is word/document.xml, one <w:p> per
+// paragraph and the words in <w:t> runs.
+export function docxXmlToText(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  return [...doc.getElementsByTagName("w:p")]
+    .map((p) => {
+      let s = "";
+      for (const el of p.getElementsByTagName("*")) {
+        if (el.tagName === "w:t") s += el.textContent;
+        else if (el.tagName === "w:tab") s += "\t";
+        else if (el.tagName === "w:br" || el.tagName === "w:cr") s += "\n";
+      }
+      return s.trim();
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+async function readPdfPages(file, onProgress) {
+  const pdfjs = await import("pdfjs-dist");
+  // pdf.js runs on this thread, so there's no worker script to host.
+  await import("pdfjs-dist/build/pdf.worker.entry");
+  // Text is all we need, so fonts are never compiled (isEvalSupported: false
+  // also keeps a malicious font from running script).
+  const pdf = await pdfjs.getDocument({
+    data: await file.arrayBuffer(),
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+  const pages = [];
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const page = await pdf.getPage(n);
+    const { items } = await page.getTextContent();
+    pages.push(items.map((it) => it.str + (it.hasEOL ? "\n" : "")).join(""));
+    onProgress(n / pdf.numPages, `Page ${n} of ${pdf.numPages}`);
+  }
+  return pages;
+}
+
+async function readDocxText(file) {
+  const { default: JSZip } = await import("jszip");
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const xml = await zip.file("word/document.xml")?.async("string");
+  if (!xml) throw new Error("That .docx has no document body.");
+  return docxXmlToText(xml);
+}
+
+// Returns the file's text as pages.
+async function readSourceFile(file, onProgress = () => {}) {
+  const kind = sourceFileKind(file);
+  if (!kind)
+    throw new Error(
+      /\.doc$/i.test(file.name)
+        ? "Old .doc files can't be read; save it as .docx first."
+        : "Upload a PDF, Word (.docx), text, Markdown or HTML file."
+    );
+  if (file.size > MAX_SOURCE_FILE_MB * 1024 * 1024)
+    throw new Error(`Files over ${MAX_SOURCE_FILE_MB} MB are too big to read.`);
+  if (kind === "pdf") return readPdfPages(file, onProgress);
+  onProgress(0.5, "Extracting text…");
+  if (kind === "docx") return [await readDocxText(file)];
+  const text = await file.text();
+  if (kind === "html") return [extractArticle(text).text];
+  if (kind === "markdown") return [markdownToText(text)];
+  return [text];
+}
+
+// The text that goes into the build: the chosen page range, optionally
+// without running headers and footers, tidied.
+function uploadText({ pages, from, to, dropRunning }) {
+  const kept = (dropRunning ? dropRunningLines(pages) : pages).slice(
+    from - 1,
+    to
+  );
+  return tidySourceText(kept.join("\n\n"));
+}
+
+// ---------- Web articles (URL source) ----------
+// Pages are fetched directly, or through a proxy the school runs (the bundled
+// scripts/fetch-proxy.js, or any URL with a {url} slot), and the article is
+// pulled out of the page here, so nothing goes through a third-party reader.
+const FETCH_SETTINGS_KEY = "pp.fetch";
+const BUNDLED_PROXY_URL = "http://localhost:8787/fetch?url={url}";
+const FETCH_STRATEGIES = {
+  direct: "Direct (the site must allow it)",
+  bundled: "Bundled proxy (npm run proxy)",
+  proxy: "Our proxy URL",
+};
+
+function loadFetchSettings() {
+  const saved = readStored(FETCH_SETTINGS_KEY) || {};
+  return {
+    strategy: FETCH_STRATEGIES[saved.strategy] ? saved.strategy : "direct",
+    proxyUrl: saved.proxyUrl || "",
+  };
+}
+
+// Readability-style extraction: drop page furniture, score each block of
+// text into its ancestors, keep the best-scoring container and any siblings
+// that look like more of the same article.
+const ARTICLE_JUNK =
+  "script, style, noscript, template, svg, iframe, object, embed, canvas, nav, header, footer, aside, form, button, input, select, textarea, [hidden], [aria-hidden='true'], [role='navigation'], [role='banner'], [role='contentinfo'], [role='complementary'], [role='dialog']";
+const UNLIKELY_BLOCK =
+  /ad-break|advert|agegate|banner|breadcrumb|combx|comment|community|cookie|disqus|footer|gdpr|header|menu|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe/i;
+const MAYBE_ARTICLE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_CLASS =
+  /article|blog|body|content|entry|h-entry|hentry|main|page|post|story|text/i;
+const NEGATIVE_CLASS =
+  /\bads?\b|advert|banner|combx|comment|contact|foot|masthead|media|meta|outbrain|promo|related|scroll|share|shopping|sidebar|sponsor|tags|tool|widget/i;
+const TAG_SCORES = {
+  DIV: 5,
+  ARTICLE: 5,
+  MAIN: 5,
+  PRE: 3,
+  TD: 3,
+  BLOCKQUOTE: 3,
+  ADDRESS: -3,
+  OL: -3,
+  UL: -3,
+  DL: -3,
+  DD: -3,
+  DT: -3,
+  LI: -3,
+  H1: -5,
+  H2: -5,
+  H3: -5,
+  H4: -5,
+  H5: -5,
+  H6: -5,
+  TH: -5,
+};
+
+const blockClass = (el) =>
+  `${el.getAttribute("class") || ""} ${el.getAttribute("id") || ""}`;
+function linkDensity(el) {
+  const all = el.textContent.length;
+  if (!all) return 0;
+  let links = 0;
+  el.querySelectorAll("a").forEach((a) => (links += a.textContent.length));
+  return links / all;
+}
+
+export function extractArticle(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const title = (
+    doc.querySelector('meta[property="og:title"]')?.getAttribute("content") ||
+    doc.title ||
+    doc.querySelector("h1")?.textContent ||
+    ""
+  ).trim();
+  doc.querySelectorAll(ARTICLE_JUNK).forEach((el) => el.remove());
+  for (const el of doc.body.querySelectorAll("*")) {
+    const cls = blockClass(el);
+    if (
+      el.isConnected &&
+      el.tagName !== "A" &&
+      UNLIKELY_BLOCK.test(cls) &&
+      !MAYBE_ARTICLE.test(cls)
+    )
+      el.remove();
+  }
+
+  const scores = new Map();
+  const baseScore = (el) => {
+    const cls = blockClass(el);
+    return (
+      (TAG_SCORES[el.tagName] || 0) +
+      (NEGATIVE_CLASS.test(cls) ? -25 : 0) +
+      (POSITIVE_CLASS.test(cls) ? 25 : 0)
+    );
+  };
+  for (const block of doc.body.querySelectorAll("p, pre, td, blockquote")) {
+    const text = block.textContent.trim();
+    if (text.length < 25) continue;
+    const points =
+      1 + text.split(",").length + Math.min(3, Math.floor(text.length / 100));
+    // A parent gets the block's full score, a grandparent half, and so on.
+    let el = block.parentElement;
+    for (
+      let level = 0;
+      el && el !== doc.documentElement && level < 3;
+      level++
+    ) {
+      if (!scores.has(el)) scores.set(el, baseScore(el));
+      scores.set(el, scores.get(el) + points / (level === 0 ? 1 : level * 2));
+      el = el.parentElement;
+    }
+  }
+  const finalScore = (el) => scores.get(el) * (1 - linkDensity(el));
+  let top = null;
+  for (const el of scores.keys())
+    if (!top || finalScore(el) > finalScore(top)) top = el;
+  if (!top) return { title, text: blockText(doc.body) };
+
+  const threshold = Math.max(10, finalScore(top) * 0.2);
+  const goodParagraph = (el) =>
+    el.tagName === "P" &&
+    el.textContent.trim().length > 80 &&
+    linkDensity(el) < 0.25;
+  const parts = top.parentElement
+    ? [...top.parentElement.children].filter(
+        (el) =>
+          el === top ||
+          (scores.has(el) && finalScore(el) >= threshold) ||
+          goodParagraph(el)
+      )
+    : [top];
+  const text = parts.map(blockText).filter(Boolean).join("\n\n");
+  // Too little left means the page wasn't shaped like an article.
+  return { title, text: text.length >= 250 ? text : blockText(doc.body) };
+}
+
+async function fetchArticle(url, { strategy, proxyUrl }) {
+  if (!/^https?:\/\/\S+$/i.test(url))
+    throw new Error("Enter a full web address starting with https://.");
+  const template = strategy === "bundled" ? BUNDLED_PROXY_URL : proxyUrl;
+  if (strategy === "proxy" && !template.trim())
+    throw new Error("Enter your proxy's URL, or choose another way to fetch.");
+  const target =
+    strategy === "direct"
+      ? url
+      : template.includes("{url}")
+      ? template.replace("{url}", encodeURIComponent(url))
+      : template + encodeURIComponent(url);
+
+  let res;
   try {
-    obj = JSON.parse(out);
+    res = await fetch(target);
   } catch {
-    const m = out && out.match(/\{[\s\S]*\}/);
-    if (!m) throw new Error("Failed to parse Gemini JSON output.");
-    obj = JSON.parse(m[0]);
+    throw new Error(
+      strategy === "direct"
+        ? "That site doesn't let browsers fetch it directly. Fetch through a proxy instead, or paste the text."
+        : `Couldn't reach the proxy at ${
+            new URL(target).origin
+          }. Is it running?`
+    );
   }
-  return obj;
+  if (!res.ok) throw new Error(`The page couldn't be fetched (${res.status}).`);
+  const type = res.headers.get("content-type") || "";
+  if (/pdf/i.test(type)) {
+    const file = new File([await res.blob()], "page.pdf", { type });
+    const pages = await readSourceFile(file);
+    const dropRunning = pages.length >= 3;
+    return {
+      title: "",
+      text: uploadText({ pages, from: 1, to: pages.length, dropRunning }),
+    };
+  }
+  const body = await res.text();
+  if (/html|xml/i.test(type) || /^\s*</.test(body)) return extractArticle(body);
+  return { title: "", text: body.trim() };
 }
 
-async function geminiBuildJeopardy({ apiKey, text }) {
-  const url =
-    "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=" +
-    encodeURIComponent(apiKey);
+// ---------- AI providers ----------
+// Each driver only knows how to turn a prompt into a request and pull the
+// reply text back out; fetching, error reporting and JSON repair are shared
+// by generateJSON() below.
+const trimSlash = (s) => String(s || "").replace(/\/+$/, "");
 
-  const prompt = `Create a Jeopardy-style board for 4th graders from the content below.
+const AI_PROVIDERS = {
+  gemini: {
+    label: "Google Gemini",
+    needsKey: true,
+    defaults: {
+      model: "gemini-1.5-flash",
+      baseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    },
+    request({ apiKey, model, baseUrl }, { prompt, temperature, maxTokens }) {
+      return {
+        url:
+          `${trimSlash(baseUrl)}/models/${encodeURIComponent(model)}` +
+          `:generateContent?key=${encodeURIComponent(apiKey)}`,
+        init: {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            contents: [{ role: "user", parts: [{ text: prompt }] }],
+            generationConfig: { temperature, maxOutputTokens: maxTokens },
+          }),
+        },
+      };
+    },
+    readText: (data) => data?.candidates?.[0]?.content?.parts?.[0]?.text,
+  },
+  openai: {
+    label: "OpenAI-compatible",
+    needsKey: false, // local Ollama / llama.cpp servers run without one
+    defaults: { model: "gpt-4o-mini", baseUrl: "https://api.openai.com/v1" },
+    request({ apiKey, model, baseUrl }, { prompt, temperature, maxTokens }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return {
+        url: `${trimSlash(baseUrl)}/chat/completions`,
+        init: {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            model,
+            messages: [{ role: "user", content: prompt }],
+            temperature,
+            max_tokens: maxTokens,
+          }),
+        },
+      };
+    },
+    readText: (data) => data?.choices?.[0]?.message?.content,
+  },
+  mock: {
+    label: "Demo (offline)",
+    needsKey: false,
+    defaults: { model: "", baseUrl: "" },
+    // Canned lessons, picked by keyword so pasted demo text feels "right".
+    async respond({ task, prompt }) {
+      await new Promise((r) => setTimeout(r, 250));
+      const body = String(prompt).split("CONTENT START")[1] || "";
+      const hits = (l) => (body.match(l.match) || []).length;
+      const lesson = MOCK_LESSONS.reduce((best, l) =>
+        hits(l) > hits(best) ? l : best
+      );
+      return JSON.stringify(
+        task === "board"
+          ? { categories: lesson.categories, final: lesson.final }
+          : task === "fill"
+          ? { categories: [] } // no canned extras; the board gets padded
+          : task === "chunk"
+          ? {
+              section: lesson.categories[0].title,
+              summary: lesson.summary,
+              facts: lesson.categories[0].clues.map(
+                (cl) => `${cl.question} ${cl.answer}.`
+              ),
+              vocab: lesson.vocab,
+            }
+          : task === "merge"
+          ? { summary: lesson.summary }
+          : { summary: lesson.summary, vocab: lesson.vocab }
+      );
+    },
+  },
+};
 
-- 5 categories, each with 5 clues (25 total).
-- Each clue has a short QUESTION and a concise ANSWER.
-- Return JSON: {"categories":[{"title":"...","clues":[{"question":"...","answer":"..."} x5]} x5]}
+// Local OpenAI-compatible servers, offered as one-click presets.
+const OPENAI_PRESETS = [
+  {
+    label: "OpenAI",
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+  },
+  { label: "Ollama", baseUrl: "http://localhost:11434/v1", model: "llama3.1" },
+  { label: "llama.cpp", baseUrl: "http://localhost:8080/v1", model: "local" },
+];
 
-CONTENT START
-${text}
-CONTENT END`;
-
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-      generationConfig: { temperature: 0.6, maxOutputTokens: 1600 },
-    }),
-  });
-  if (!res.ok)
-    throw new Error(`Gemini Jeopardy error ${res.status}: ${await res.text()}`);
-  const data = await res.json();
-  const out = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-  let parsed;
+function parseModelJSON(out, what) {
+  const text = String(out || "").trim();
   try {
-    parsed = JSON.parse(out);
+    return JSON.parse(text);
   } catch {
-    const m = out && out.match(/\{[\s\S]*\}/);
-    if (!m) throw new Error("Failed to parse Jeopardy JSON.");
-    parsed = JSON.parse(m[0]);
+    const m = text.match(/\{[\s\S]*\}/);
+    if (!m) throw new Error(`Failed to parse ${what} JSON output.`);
+    try {
+      return JSON.parse(m[0]);
+    } catch {
+      throw new Error(`Failed to parse ${what} JSON output.`);
+    }
   }
-  let categories = Array.isArray(parsed?.categories) ? parsed.categories : [];
-  categories = categories
-    .filter((c) => c && c.title && Array.isArray(c.clues))
-    .slice(0, 5)
-    .map((c) => ({
-      title: String(c.title).trim().slice(0, 40),
-      clues: (c.clues || []).slice(0, 5).map((cl, i) => ({
-        question: String(cl?.question || "")
-          .trim()
-          .slice(0, 160),
-        answer: String(cl?.answer || "")
-          .trim()
-          .slice(0, 120),
-        value: [100, 200, 300, 400, 500][i] || (i + 1) * 100,
-      })),
-    }));
-  if (categories.length !== 5 || categories.some((c) => c.clues.length !== 5)) {
-    throw new Error(
-      "Teacher’s Trivia board incomplete. Try again or simplify the source."
-    );
+}
+
+async function generateJSON(
+  ai,
+  { task, what, prompt, temperature = 0.6, maxTokens }
+) {
+  const driver = AI_PROVIDERS[ai?.provider];
+  if (!driver) throw new Error(`Unknown AI provider "${ai?.provider}".`);
+  if (driver.needsKey && !ai.apiKey)
+    throw new Error(`Please enter your ${driver.label} API key.`);
+
+  let out;
+  if (driver.respond) {
+    out = await driver.respond({ task, prompt });
+  } else {
+    const opts = {
+      apiKey: ai.apiKey,
+      model: ai.model || driver.defaults.model,
+      baseUrl: ai.baseUrl || driver.defaults.baseUrl,
+    };
+    const { url, init } = driver.request(opts, {
+      prompt,
+      temperature,
+      maxTokens,
+    });
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch {
+      throw new Error(`Could not reach ${driver.label} at ${opts.baseUrl}.`);
+    }
+    if (!res.ok)
+      throw new Error(
+        `${driver.label} ${what} error ${res.status}: ${await res.text()}`
+      );
+    out = driver.readText(await res.json());
   }
-  return { categories };
+  return parseModelJSON(out, what);
 }
 
-// ---------- UI ----------
-function Header() {
-  return (
-    <header className="p-4 sm:p-6 border-b bg-white sticky top-0 z-20">
-      <div className="max-w-6xl mx-auto flex items-center justify-between gap-4">
-        <div className="flex items-baseline gap-3">
-          <h1 className="text-2xl sm:text-3xl font-bold">
-            Plug & Play Lesson Games
-          </h1>
-          <span className="text-xs text-gray-500 hidden sm:inline">
-            URL → Summary → Vocab → Games
-          </span>
-        </div>
-      </div>
-    </header>
-  );
+// ---------- Trivia values ----------
+// A board carries its own value ladder (board.values, one entry per row) and
+// unit, so point scales travel with the board into packs and slide decks.
+const VALUE_LADDERS = {
+  classic: { label: "$100 – $500", unit: "$", start: 100, step: 100 },
+  double: { label: "Double ($200 – $1000)", unit: "$", start: 200, step: 200 },
+  points: { label: "1 – 5 points", unit: "pts", start: 1, step: 1 },
+  custom: { label: "Custom…", unit: "$" },
+};
+const BOARD_SIZES = [3, 4, 5, 6];
+
+function buildValueLadder({
+  boardRows = 5,
+  valueLadder = "classic",
+  customValues = "",
+}) {
+  const ladder = VALUE_LADDERS[valueLadder] || VALUE_LADDERS.classic;
+  if (valueLadder === "custom") {
+    const values = String(customValues)
+      .split(/[\s,;]+/)
+      .map(Number)
+      .filter((n) => Number.isFinite(n) && n > 0);
+    if (values.length) return { values, unit: ladder.unit };
+  }
+  const { start = 100, step = 100 } = ladder;
+  return {
+    values: Array.from({ length: boardRows }, (_, r) => start + step * r),
+    unit: ladder.unit,
+  };
 }
 
-function ApiKeyPanel({ apiKey, setApiKey }) {
-  const [persist, setPersist] = useState(
-    () => localStorage.getItem("pp.persistKey") === "true"
-  );
-  useEffect(() => {
-    if (persist && apiKey) localStorage.setItem("pp.apiKey", apiKey);
-  }, [persist, apiKey]);
-  useEffect(() => {
-    if (persist && !apiKey) setApiKey(localStorage.getItem("pp.apiKey") || "");
-  }, [persist]); // eslint-disable-line
-  return (
-    <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
-      <h2 className="font-semibold text-lg mb-2">Gemini API Key</h2>
-      <div className="flex flex-col sm:flex-row gap-3 items-start sm:items-center">
-        <input
-          type="password"
-          value={apiKey}
-          onChange={(e) => setApiKey(e.target.value.trim())}
-          placeholder="Paste your API key..."
-          className="border rounded-xl px-3 py-2 w-full sm:w-96"
-        />
-        <label className="inline-flex items-center gap-2 text-sm">
-          <input
-            type="checkbox"
-            checked={persist}
-            onChange={(e) => {
-              const v = e.target.checked;
-              setPersist(v);
-              localStorage.setItem("pp.persistKey", String(v));
-              if (!v) localStorage.removeItem("pp.apiKey");
-            }}
-          />
-          Remember on this device
-        </label>
-      </div>
-      <p className="text-xs text-gray-500 mt-2">
-        Tip: keep this client-side for demos only.
-      </p>
-    </section>
-  );
+// Rows past the end of a ladder keep climbing by its last step.
+function ladderValue(values, r) {
+  const vals = values?.length ? values : [100, 200, 300, 400, 500];
+  if (r < vals.length) return vals[r];
+  const last = vals[vals.length - 1];
+  const step = vals.length > 1 ? last - vals[vals.length - 2] : last;
+  return last + step * (r - vals.length + 1);
 }
+const formatPoints = (value, unit = "$") =>
+  unit === "$" ? `$${value}` : `${value} ${unit}`;
+const withRowValues = (categories, values) =>
+  categories.map((cat) => ({
+    ...cat,
+    clues: cat.clues.map((cl, r) => ({ ...cl, value: ladderValue(values, r) })),
+  }));
 
-function SourceInput({ mode, setMode, url, setUrl, rawText, setRawText }) {
-  return (
-    <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
-      <h2 className="font-semibold text-lg mb-2">Source</h2>
-      <div className="flex gap-2 mb-3">
-        <button
-          className={cx(
-            "px-3 py-1.5 rounded-xl border",
-            mode === "url" ? "bg-black text-white" : "bg-white"
-          )}
-          onClick={() => setMode("url")}
-        >
-          URL
-        </button>
-        <button
-          className={cx(
-            "px-3 py-1.5 rounded-xl border",
-            mode === "text" ? "bg-black text-white" : "bg-white"
-          )}
-          onClick={() => setMode("text")}
-        >
-          Paste Text
-        </button>
-      </div>
-      {mode === "url" ? (
-        <>
-          <input
-            type="url"
-            value={url}
-            onChange={(e) => setUrl(e.target.value)}
-            placeholder="https://example.com/lesson-article"
-            className="border rounded-xl px-3 py-2 w-full"
-          />
-          <p className="text-xs text-gray-500 mt-2">
-            URL mode uses a CORS-friendly reader; Paste Text works everywhere.
-          </p>
-        </>
-      ) : (
-        <textarea
-          value={rawText}
-          onChange={(e) => setRawText(e.target.value)}
-          placeholder="Paste article text here..."
-          rows={7}
-          className="border rounded-xl px-3 py-2 w-full"
-        />
-      )}
-    </section>
+// ---------- Lesson settings + prompt templates ----------
+// Both generators share one template renderer; audience wording comes from
+// the lesson settings rather than being baked into the prompt text.
+const GRADES = [
+  "K",
+  "1",
+  "2",
+  "3",
+  "4",
+  "5",
+  "6",
+  "7",
+  "8",
+  "9",
+  "10",
+  "11",
+  "12",
+];
+const READING_LEVELS = {
+  below: "a little below grade level (simpler words, shorter sentences)",
+  on: "on grade level",
+  above: "a little above grade level (richer vocabulary)",
+};
+const SUMMARY_LENGTHS = {
+  short: { label: "Short", sentences: "2-3" },
+  medium: { label: "Medium", sentences: "3-5" },
+  long: { label: "Long", sentences: "6-8" },
+};
+const TONES = {
+  friendly: "friendly and encouraging",
+  playful: "playful and energetic",
+  neutral: "clear and neutral",
+  academic: "academic and precise",
+};
+const DEFAULT_LESSON_SETTINGS = {
+  grade: "4",
+  readingLevel: "on",
+  subject: "",
+  vocabMin: 8,
+  vocabMax: 14,
+  summaryLength: "medium",
+  tone: "friendly",
+  boardCategories: 5,
+  boardRows: 5,
+  valueLadder: "classic",
+  customValues: "",
+};
+
+const VOCAB_LIMITS = { min: 3, max: 25 };
+
+// Saved and imported settings go through here: choices the app doesn't offer
+// fall back (to the defaults, or the current settings for a lesson pack) and
+// counts are clamped to what the panel allows.
+export function normalizeLessonSettings(
+  raw,
+  fallback = DEFAULT_LESSON_SETTINGS
+) {
+  const s = raw && typeof raw === "object" ? raw : {};
+  const oneOf = (key, choices) =>
+    choices.includes(s[key]) ? s[key] : fallback[key];
+  const text = (key) => (typeof s[key] === "string" ? s[key] : fallback[key]);
+  const count = (key, lo, hi, dflt) => {
+    const n = Math.round(Number(s[key]));
+    return s[key] == null || s[key] === "" || !Number.isFinite(n)
+      ? dflt
+      : Math.min(hi, Math.max(lo, n));
+  };
+  const vocabMin = count(
+    "vocabMin",
+    VOCAB_LIMITS.min,
+    VOCAB_LIMITS.max,
+    fallback.vocabMin
   );
+  return {
+    grade: GRADES.includes(String(s.grade)) ? String(s.grade) : fallback.grade,
+    readingLevel: oneOf("readingLevel", Object.keys(READING_LEVELS)),
+    subject: text("subject"),
+    vocabMin,
+    vocabMax: count(
+      "vocabMax",
+      vocabMin,
+      VOCAB_LIMITS.max,
+      Math.max(vocabMin, fallback.vocabMax)
+    ),
+    summaryLength: oneOf("summaryLength", Object.keys(SUMMARY_LENGTHS)),
+    tone: oneOf("tone", Object.keys(TONES)),
+    boardCategories: oneOf("boardCategories", BOARD_SIZES),
+    boardRows: oneOf("boardRows", BOARD_SIZES),
+    valueLadder: oneOf("valueLadder", Object.keys(VALUE_LADDERS)),
+    customValues: text("customValues"),
+  };
 }
 
-function SummaryCard({ summary }) {
-  if (!summary) return null;
-  return (
-    <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
-      <h3 className="font-semibold text-lg mb-2">Kid-Friendly Summary</h3>
-      <p className="leading-7 text-gray-800">{summary}</p>
-    </section>
-  );
+function loadLessonSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("pp.lessonSettings"));
+    return normalizeLessonSettings(saved);
+  } catch {
+    return DEFAULT_LESSON_SETTINGS;
+  }
 }
 
-function VocabList({ vocab }) {
-  if (!vocab?.length) return null;
-  return (
-    <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
-      <h3 className="font-semibold text-lg mb-3">Key Vocabulary</h3>
-      <ul className="grid sm:grid-cols-2 gap-3">
-        {vocab.map((v, idx) => (
-          <li key={idx} className="border rounded-xl p-3">
-            <div className="font-semibold">{v.term}</div>
-            <div className="text-sm text-gray-700">{v.definition}</div>
-          </li>
-        ))}
-      </ul>
-    </section>
-  );
+function gradeWords(grade) {
+  if (grade === "K")
+    return { teacher: "a kindergarten teacher", students: "kindergartners" };
+  const n = Number(grade);
+  const suffix = n === 1 ? "st" : n === 2 ? "nd" : n === 3 ? "rd" : "th";
+  return {
+    teacher: `${n === 8 || n === 11 ? "an" : "a"} ${n}${suffix} grade teacher`,
+    students: `${n}${suffix} graders`,
+  };
 }
 
-// ---------- Teacher's Trivia ----------
-function TeachersTrivia({ board, players, setPlayers }) {
-  const [active, setActive] = useState(0);
-  const [used, setUsed] = useState(new Set());
-  const [modal, setModal] = useState(null);
-  const [guess, setGuess] = useState("");
-  const [result, setResult] = useState("");
-  const [attempted, setAttempted] = useState(new Set());
+const PROMPT_TEMPLATES = {
+  lesson: `You are helping {{teacher}} design a {{subjectLesson}}.
 
-  useEffect(() => {
-    setUsed(new Set());
-  }, [board]);
+TASKS:
+1) Write a {{tone}}, one-paragraph summary ({{sentences}} sentences) for {{students}} about the content below. Keep the reading level {{readingLevel}}.
+2) Extract {{vocabMin}}-{{vocabMax}} important KEY VOCABULARY terms appropriate for {{students}} and provide short, student-friendly definitions.
 
-  function markUsed(cIdx, rIdx) {
-    setUsed((prev) => new Set(prev).add(`${cIdx}-${rIdx}`));
-  }
-  function openClue(cIdx, rIdx) {
-    const clue = board.categories[cIdx].clues[rIdx];
-    setModal({ cIdx, rIdx, clue });
-    setGuess("");
-    setResult("");
-    setAttempted(new Set());
-  }
-  function closeModal() {
-    setModal(null);
-    setGuess("");
-    setResult("");
-    setAttempted(new Set());
-  }
-  function award(delta, playerIdx = active) {
-    setPlayers((prev) => {
-      const arr = [...prev];
-      arr[playerIdx] = {
-        ...arr[playerIdx],
-        score: (arr[playerIdx].score || 0) + delta,
-      };
-      return arr;
-    });
-  }
-  function rotateToNextUntried() {
-    if (players.length <= 1) return;
-    for (let k = 1; k <= players.length; k++) {
-      const cand = (active + k) % players.length;
-      if (!attempted.has(cand)) {
-        setActive(cand);
-        return;
+FORMAT your response as strict JSON with this exact shape:
+{"summary":"...","vocab":[{"term":"...","definition":"..."}]}
+
+CONTENT START
+{{text}}
+CONTENT END`,
+
+  board: `Create a Jeopardy-style board for {{students}} from the content below{{subjectFocus}}.
+
+- {{categories}} categories, each with {{rows}} clues ({{clueCount}} total).
+- Each clue has a short QUESTION and a concise ANSWER, plus ALTERNATES: up to 3 other answers a student could fairly give (a synonym, a common name, a symbol); [] if there are none.
+- Keep the wording {{readingLevel}} and the tone {{tone}}.
+- Clues get harder from the first row to the last.
+- Also write one harder FINAL clue in its own category, for a wager-everything final round.
+- Return JSON: {"categories":[{"title":"...","clues":[{"question":"...","answer":"...","alternates":["..."]} x{{rows}}]} x{{categories}}],"final":{"category":"...","question":"...","answer":"..."}}
+
+CONTENT START
+{{text}}
+CONTENT END`,
+
+  chunk: `You are helping {{teacher}} design a {{subjectLesson}} from a long text. This is part {{part}} of {{parts}}.
+
+From THIS PART only, return:
+- "section": a short title for what this part covers
+- "summary": 2-3 sentences on what this part says
+- "facts": up to 8 key facts from this part that would make good quiz questions for {{students}}
+- "vocab": up to {{vocabMax}} KEY VOCABULARY terms from this part, with short, student-friendly definitions; keep the reading level {{readingLevel}}
+
+FORMAT your response as strict JSON with this exact shape:
+{"section":"...","summary":"...","facts":["..."],"vocab":[{"term":"...","definition":"..."}]}
+
+CONTENT START
+{{text}}
+CONTENT END`,
+
+  merge: `You are helping {{teacher}} design a {{subjectLesson}}. Below are notes on each part of a longer text, in order.
+
+Write a {{tone}}, one-paragraph summary ({{sentences}} sentences) of the WHOLE text for {{students}}. Keep the reading level {{readingLevel}}.
+
+FORMAT your response as strict JSON with this exact shape:
+{"summary":"..."}
+
+CONTENT START
+{{text}}
+CONTENT END`,
+
+  fill: `This Jeopardy-style board for {{students}} came back incomplete.
+
+CURRENT BOARD:
+{{existing}}
+
+Write ONLY the missing clues:
+{{missing}}
+- Don't repeat any clue already on the board; keep answers short.
+- List up to 3 ALTERNATES per clue: other answers a student could fairly give; [] if there are none.
+- Keep the wording {{readingLevel}} and the tone {{tone}}.
+- Return JSON: {"categories":[{"title":"...","clues":[{"question":"...","answer":"...","alternates":["..."]}]}]}, using the exact titles above for existing categories.
+
+CONTENT START
+{{text}}
+CONTENT END`,
+};
+
+// Recorded in lesson packs; bump whenever a template changes meaningfully.
+const PROMPT_VERSION = 6;
+
+function promptVars(settings, extra) {
+  const s = { ...DEFAULT_LESSON_SETTINGS, ...settings };
+  const subject = String(s.subject || "").trim();
+  return {
+    ...gradeWords(s.grade),
+    subjectLesson: subject ? `${subject} lesson` : "lesson",
+    subjectFocus: subject ? ` (subject: ${subject})` : "",
+    readingLevel: READING_LEVELS[s.readingLevel] || READING_LEVELS.on,
+    sentences: (SUMMARY_LENGTHS[s.summaryLength] || SUMMARY_LENGTHS.medium)
+      .sentences,
+    tone: TONES[s.tone] || TONES.friendly,
+    vocabMin: s.vocabMin,
+    vocabMax: s.vocabMax,
+    ...extra,
+  };
+}
+
+function renderPrompt(name, vars) {
+  return PROMPT_TEMPLATES[name].replace(/\{\{(\w+)\}\}/g, (_, key) => {
+    if (vars[key] == null)
+      throw new Error(`Prompt "${name}" is missing a value for {{${key}}}.`);
+    return String(vars[key]);
+  });
+}
+
+// ---------- Lesson generators ----------
+// Sources that fit one prompt are summarized in one call. Longer ones (a
+// textbook chapter) are split into parts at paragraph and section breaks;
+// each part gets its own notes (map), and the notes are merged (reduce):
+// vocab is de-duplicated here, the summary is written from the part
+// summaries, and the board is built from the merged notes.
+const CHARS_PER_TOKEN = 4; // rough, but fine for sizing prompts
+const CHUNK_TOKENS = 3000;
+const SINGLE_PASS_TOKENS = 6000;
+const MAX_SOURCE_PARTS = 12;
+const CHUNK_FACTS = 8;
+
+export const estimateTokens = (text) =>
+  Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+
+// A short line without closing punctuation, or one that reads like
+// "Chapter 3" / "2.1 Cells" / "# Cells", starts a section.
+const SECTION_HEADING =
+  /^(#{1,6}\s|(chapter|section|unit|lesson|part)\s+\w+|\d+(\.\d+)*\.?\s+\p{Lu})/iu;
+const isHeading = (p) =>
+  !p.includes("\n") &&
+  p.length <= 80 &&
+  (SECTION_HEADING.test(p) || !/[.!?,;:"”)]$/.test(p));
+
+// Breaks one overlong paragraph between sentences (or anywhere, for a
+// "sentence" longer than a whole part).
+function splitParagraph(p, maxChars) {
+  const out = [];
+  let cur = "";
+  for (const sentence of p.match(/[^.!?]+(?:[.!?]+["”’)]*\s*|$)/g) || [p]) {
+    for (let i = 0; i < sentence.length; i += maxChars) {
+      const piece = sentence.slice(i, i + maxChars);
+      if (cur && cur.length + piece.length > maxChars) {
+        out.push(cur.trim());
+        cur = "";
       }
+      cur += piece;
     }
   }
-  function onMarkCorrect() {
-    if (!modal) return;
-    const val = modal.clue.value || (modal.rIdx + 1) * 100;
-    award(val);
-    setResult(`✅ Correct! +${val}`);
-    markUsed(modal.cIdx, modal.rIdx);
-    setTimeout(closeModal, 800);
-  }
-  function onMarkIncorrect() {
-    if (!modal) return;
-    const val = modal.clue.value || (modal.rIdx + 1) * 100;
-    award(-val);
-    setResult(`❌ Incorrect. -${val}`);
-    setAttempted((prev) => new Set(prev).add(active));
-    rotateToNextUntried();
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+export function splitSource(text, maxTokens = CHUNK_TOKENS) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const pieces = String(text || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .flatMap((p) => (p.length > maxChars ? splitParagraph(p, maxChars) : [p]));
+  const chunks = [];
+  let cur = [];
+  let size = 0;
+  const flush = () => {
+    // A heading belongs with the section it introduces.
+    const carry =
+      cur.length > 1 && isHeading(cur[cur.length - 1]) ? [cur.pop()] : [];
+    if (cur.length) chunks.push(cur.join("\n\n"));
+    cur = carry;
+    size = carry.reduce((n, p) => n + p.length + 2, 0);
+  };
+  for (const p of pieces) {
+    // New sections start a new part once the current one is half full.
+    if (
+      cur.length &&
+      (size + p.length > maxChars || (isHeading(p) && size > maxChars / 2))
+    )
+      flush();
+    cur.push(p);
+    size += p.length + 2;
   }
+  flush();
+  if (cur.length) chunks.push(cur.join("\n\n"));
+  return chunks;
+}
 
-  if (!board) return null;
-  const allUsed = board.categories.every((cat, c) =>
-    cat.clues.every((_, r) => used.has(`${c}-${r}`))
+// Sizes a source for the build: how many parts it will be read in, and
+// whether it's over the limit.
+export function sourcePlan(text) {
+  const t = String(text || "").trim();
+  const tokens = estimateTokens(t);
+  const parts = tokens <= SINGLE_PASS_TOKENS ? 1 : splitSource(t).length;
+  return {
+    words: t ? t.split(/\s+/).length : 0,
+    tokens,
+    parts,
+    tooLong: parts > MAX_SOURCE_PARTS,
+  };
+}
+
+const cleanNotes = (parsed) => ({
+  section: String(parsed?.section || "")
+    .trim()
+    .slice(0, 80),
+  summary: String(parsed?.summary || "").trim(),
+  facts: (Array.isArray(parsed?.facts) ? parsed.facts : [])
+    .map((f) => String(f || "").trim())
+    .filter(Boolean)
+    .slice(0, CHUNK_FACTS),
+  vocab: (Array.isArray(parsed?.vocab) ? parsed.vocab : [])
+    .map((v) => ({
+      term: String(v?.term || "").trim(),
+      definition: String(v?.definition || "").trim(),
+    }))
+    .filter((v) => v.term && v.definition),
+});
+
+// Terms that several parts picked come first; ties keep reading order. The
+// first definition of a term wins.
+export function mergeChunkVocab(notes, max) {
+  const seen = new Map();
+  notes.forEach((n) =>
+    n.vocab.forEach((v) => {
+      const key = normalizeAnswer(v.term);
+      const hit = seen.get(key);
+      if (hit) hit.parts++;
+      else seen.set(key, { ...v, parts: 1, order: seen.size });
+    })
   );
+  return [...seen.values()]
+    .sort((a, b) => b.parts - a.parts || a.order - b.order)
+    .slice(0, max)
+    .sort((a, b) => a.order - b.order)
+    .map(({ term, definition }) => ({ term, definition }));
+}
 
-  return (
-    <section className="border rounded-2xl p-4 sm:p-6 bg-white shadow-sm">
-      <div className="flex flex-col xl:flex-row xl:items-start gap-4 xl:gap-6">
-        <div className="flex-1">
-          <h3 className="font-semibold text-xl">Teacher’s Trivia (5×5)</h3>
-          <p className="text-sm text-gray-600">
-            Use <b>Correct</b> / <b>Incorrect</b>. Wrong answers auto-rotate to
-            the next player.
-          </p>
-        </div>
-      </div>
+// The merged notes, as text for the summary and board prompts.
+function notesDigest(notes) {
+  return notes
+    .map((n, i) =>
+      [
+        `PART ${i + 1}${n.section ? `: ${n.section}` : ""}`,
+        n.summary,
+        ...n.facts.map((f) => `- ${f}`),
+        n.vocab.length
+          ? `Terms: ${n.vocab
+              .map((v) => `${v.term} (${v.definition})`)
+              .join("; ")}`
+          : "",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .join("\n\n");
+}
 
-      {/* Players */}
-      <div className="mt-4">
-        <div className="flex items-center justify-between">
-          <h4 className="font-semibold">Players</h4>
-          <button
-            className="px-3 py-1.5 rounded-lg border"
-            onClick={() =>
-              setPlayers((prev) => [
-                ...prev,
-                { name: `Player ${prev.length + 1}`, score: 0 },
-              ])
-            }
-          >
-            + Add player
-          </button>
+// Returns { summary, vocab }, plus the merged notes as `digest` when the
+// source was read in parts. onProgress gets a line for the build button.
+async function aiSummarizeAndVocab({ ai, text, settings, onProgress }) {
+  const chunks =
+    estimateTokens(text) <= SINGLE_PASS_TOKENS ? [text] : splitSource(text);
+  if (chunks.length === 1) {
+    const prompt = renderPrompt("lesson", promptVars(settings, { text }));
+    return generateJSON(ai, {
+      task: "lesson",
+      what: "summary",
+      prompt,
+      maxTokens: 1200,
+    });
+  }
+
+  const s = { ...DEFAULT_LESSON_SETTINGS, ...settings };
+  const notes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress?.(`Reading part ${i + 1} of ${chunks.length}…`);
+    const request = () =>
+      generateJSON(ai, {
+        task: "chunk",
+        what: `part ${i + 1} notes`,
+        prompt: renderPrompt(
+          "chunk",
+          promptVars(s, { text: chunks[i], part: i + 1, parts: chunks.length })
+        ),
+        maxTokens: 1200,
+      });
+    // One retry, so a single hiccup doesn't throw away the parts already read.
+    notes.push(cleanNotes(await request().catch(request)));
+  }
+
+  onProgress?.("Merging the parts…");
+  const digest = notesDigest(notes);
+  const merged = await generateJSON(ai, {
+    task: "merge",
+    what: "summary",
+    prompt: renderPrompt("merge", promptVars(s, { text: digest })),
+    maxTokens: 800,
+  });
+  return {
+    summary: merged?.summary || "",
+    vocab: mergeChunkVocab(notes, s.vocabMax),
+    digest,
+  };
+}
+
+// Other answers the auto-judge accepts for a clue.
+const cleanAlternates = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map((a) =>
+      String(a || "")
+        .trim()
+        .slice(0, 120)
+    )
+    .filter(Boolean)
+    .slice(0, 5);
+const cleanClue = (cl) => ({
+  id: uid("clue"),
+  question: String(cl?.question || "")
+    .trim()
+    .slice(0, 160),
+  answer: String(cl?.answer || "")
+    .trim()
+    .slice(0, 120),
+  alternates: cleanAlternates(cl?.alternates),
+});
+const cleanCategories = (parsed) =>
+  (Array.isArray(parsed?.categories) ? parsed.categories : [])
+    .filter((c) => c && c.title && Array.isArray(c.clues))
+    .map((c) => ({
+      title: String(c.title).trim().slice(0, 40),
+      clues: c.clues.map(cleanClue).filter((cl) => cl.question && cl.answer),
+    }));
+
+async function aiBuildJeopardy({ ai, text, settings }) {
+  const s = { ...DEFAULT_LESSON_SETTINGS, ...settings };
+  const cols = s.boardCategories;
+  const rows = s.boardRows;
+  const { values, unit } = buildValueLadder(s);
+  const prompt = renderPrompt(
+    "board",
+    promptVars(s, { text, categories: cols, rows, clueCount: cols * rows })
+  );
+
+  const parsed = await generateJSON(ai, {
+    task: "board",
+    what: "Jeopardy",
+    prompt,
+    maxTokens: 1600 + Math.max(0, cols * rows - 25) * 60,
+  });
+  const categories = cleanCategories(parsed).slice(0, cols);
+  categories.forEach((c) => (c.clues = c.clues.slice(0, rows)));
+  if (!categories.length)
+    throw new Error(
+      "Teacher’s Trivia board came back empty. Try again or simplify the source."
+    );
+
+  // Partial boards: ask once for just the missing clues, then pad whatever is
+  // still short with blanks the teacher can fill in the board editor.
+  if (boardGaps(categories, cols, rows).length) {
+    try {
+      const filled = await aiFillJeopardy({
+        ai,
+        text,
+        settings: s,
+        categories,
+        cols,
+        rows,
+      });
+      mergeBoardClues(categories, filled, cols, rows);
+    } catch {
+      // Padding below still yields a playable board.
+    }
+  }
+  let padded = 0;
+  while (categories.length < cols)
+    categories.push({ title: `Category ${categories.length + 1}`, clues: [] });
+  categories.forEach((c) => {
+    while (c.clues.length < rows) {
+      c.clues.push({
+        id: uid("clue"),
+        question: "",
+        answer: "",
+        placeholder: true,
+      });
+      padded++;
+    }
+  });
+
+  return {
+    categories: withRowValues(categories, values),
+    values,
+    unit,
+    padded,
+    final: normalizeFinalClue(parsed?.final),
+  };
+}
+
+function boardGaps(categories, cols, rows) {
+  const gaps = categories
+    .filter((c) => c.clues.length < rows)
+    .map((c) => `- "${c.title}": ${rows - c.clues.length} more clue(s)`);
+  if (categories.length < cols)
+    gaps.push(
+      `- ${cols - categories.length} NEW categor${
+        cols - categories.length === 1 ? "y" : "ies"
+      } with ${rows} clues each`
+    );
+  return gaps;
+}
+
+async function aiFillJeopardy({ ai, text, settings, categories, cols, rows }) {
+  const existing = categories
+    .map((c) => `"${c.title}": ` + c.clues.map((cl) => cl.question).join(" | "))
+    .join("\n");
+  const prompt = renderPrompt(
+    "fill",
+    promptVars(settings, {
+      text,
+      existing,
+      missing: boardGaps(categories, cols, rows).join("\n"),
+    })
+  );
+  const parsed = await generateJSON(ai, {
+    task: "fill",
+    what: "Jeopardy fill-in",
+    prompt,
+    maxTokens: 1200,
+  });
+  return cleanCategories(parsed);
+}
+
+function mergeBoardClues(categories, extra, cols, rows) {
+  const byTitle = (t) =>
+    categories.find((c) => c.title.toLowerCase() === t.toLowerCase());
+  extra.forEach((c) => {
+    const target = byTitle(c.title);
+    if (target)
+      target.clues.push(...c.clues.slice(0, rows - target.clues.length));
+    else if (categories.length < cols && c.clues.length)
+      categories.push({ title: c.title, clues: c.clues.slice(0, rows) });
+  });
+}
+
+// The Final clue is optional: without one the game simply ends at the board.
+function normalizeFinalClue(f) {
+  const final = {
+    category: String(f?.category || "")
+      .trim()
+      .slice(0, 40),
+    question: String(f?.question || "")
+      .trim()
+      .slice(0, 200),
+    answer: String(f?.answer || "")
+      .trim()
+      .slice(0, 120),
+  };
+  return final.question && final.answer ? final : null;
+}
+
+// ---------- Demo lessons (mock provider) ----------
+const mockClues = (...clues) =>
+  clues.map(([question, answer, alternates = []]) => ({
+    question,
+    answer,
+    alternates,
+  }));
+
+const MOCK_LESSONS = [
+  {
+    match: /water|rain|cloud|evaporat/gi,
+    summary:
+      "Water on Earth is always on the move in a loop called the water cycle. The sun warms lakes and oceans, and some of that water turns into an invisible gas called water vapor. High in the sky the vapor cools and forms tiny droplets that make clouds. When the droplets get heavy they fall as rain, snow, sleet or hail, and the water flows back to rivers, lakes and oceans to start the trip again.",
+    vocab: [
+      {
+        term: "Water cycle",
+        definition:
+          "The nonstop path water takes between the land, the oceans and the sky.",
+      },
+      {
+        term: "Evaporation",
+        definition: "When liquid water is heated and turns into a gas.",
+      },
+      {
+        term: "Water vapor",
+        definition: "Water in the form of an invisible gas.",
+      },
+      {
+        term: "Condensation",
+        definition:
+          "When water vapor cools and turns back into tiny drops of liquid.",
+      },
+      {
+        term: "Precipitation",
+        definition:
+          "Water that falls from clouds as rain, snow, sleet or hail.",
+      },
+      {
+        term: "Collection",
+        definition:
+          "When fallen water gathers in oceans, lakes, rivers and under the ground.",
+      },
+      {
+        term: "Runoff",
+        definition:
+          "Rain or melted snow that flows over the ground into streams and rivers.",
+      },
+      {
+        term: "Groundwater",
+        definition:
+          "Water that soaks into the soil and is stored under the ground.",
+      },
+      {
+        term: "Transpiration",
+        definition: "When plants release water vapor from their leaves.",
+      },
+      {
+        term: "Cloud",
+        definition:
+          "A group of tiny water drops or ice crystals floating in the sky.",
+      },
+    ],
+    categories: [
+      {
+        title: "Heat It Up",
+        clues: mockClues(
+          ["What gives the water cycle its energy?", "The sun"],
+          ["Liquid water turning into a gas is called this.", "Evaporation"],
+          ["Water in its gas form is called this.", "Water vapor"],
+          ["Puddles disappear faster on this kind of day: hot or cold?", "Hot"],
+          ["Plants give off water vapor through these parts.", "Leaves"]
+        ),
+      },
+      {
+        title: "Cloud Making",
+        clues: mockClues(
+          ["Clouds are made of tiny drops of this.", "Water"],
+          ["Water vapor cooling into liquid is called this.", "Condensation"],
+          [
+            "Drops on a cold glass on a hot day show this step.",
+            "Condensation",
+          ],
+          [
+            "As air rises in the sky it usually gets warmer or cooler?",
+            "Cooler",
+          ],
+          ["A cloud that touches the ground is called this.", "Fog"]
+        ),
+      },
+      {
+        title: "Falling Water",
+        clues: mockClues(
+          ["Water falling from clouds is called this.", "Precipitation"],
+          ["Frozen precipitation made of ice crystals.", "Snow"],
+          ["Balls of ice that fall during some storms.", "Hail"],
+          ["Rain that freezes on the way down is called this.", "Sleet"],
+          ["Drops fall when they get too ___ to float.", "Heavy"]
+        ),
+      },
+      {
+        title: "Where It Goes",
+        clues: mockClues(
+          ["Most of Earth's water is stored here.", "The ocean"],
+          ["Water flowing over land into streams is called this.", "Runoff"],
+          ["Water stored under the ground is called this.", "Groundwater"],
+          ["Water gathering in lakes and oceans is called this.", "Collection"],
+          [
+            "Frozen water stored on mountains and near the poles.",
+            "Glaciers (ice)",
+          ]
+        ),
+      },
+      {
+        title: "Cycle Smarts",
+        clues: mockClues(
+          ["Does the water cycle ever stop?", "No"],
+          ["Name the step that comes right after evaporation.", "Condensation"],
+          [
+            "Name the step that comes right after condensation.",
+            "Precipitation",
+          ],
+          [
+            "Is the amount of water on Earth growing, shrinking or about the same?",
+            "About the same",
+          ],
+          ["Why is the water cycle called a cycle?", "It repeats over and over"]
+        ),
+      },
+    ],
+    final: {
+      category: "Around and Around",
+      question:
+        "This step of the water cycle turns water vapor back into liquid to make clouds.",
+      answer: "Condensation",
+    },
+  },
+  {
+    match: /photosynth|chlorophyll|\bplants?\b/gi,
+    summary:
+      "Plants are amazing because they make their own food. Their leaves catch sunlight using a green material called chlorophyll. Using that energy, plants turn water from their roots and carbon dioxide from the air into sugar, and they give off oxygen that people and animals breathe. This process is called photosynthesis, and it helps keep almost every living thing on Earth alive.",
+    vocab: [
+      {
+        term: "Photosynthesis",
+        definition:
+          "The way plants use sunlight, water and air to make their own food.",
+      },
+      {
+        term: "Chlorophyll",
+        definition: "The green material in leaves that catches sunlight.",
+      },
+      {
+        term: "Carbon dioxide",
+        definition: "A gas in the air that plants take in to make food.",
+      },
+      {
+        term: "Oxygen",
+        definition:
+          "A gas that plants give off and that people and animals breathe.",
+      },
+      {
+        term: "Glucose",
+        definition: "A kind of sugar that plants make and use for energy.",
+      },
+      {
+        term: "Roots",
+        definition:
+          "The plant parts that hold it in the soil and take in water.",
+      },
+      {
+        term: "Stem",
+        definition:
+          "The part of a plant that holds it up and carries water to the leaves.",
+      },
+      {
+        term: "Leaf",
+        definition: "The flat, green part of a plant where most food is made.",
+      },
+      {
+        term: "Stomata",
+        definition: "Tiny openings on leaves that let gases in and out.",
+      },
+      {
+        term: "Producer",
+        definition: "A living thing that makes its own food.",
+      },
+    ],
+    categories: [
+      {
+        title: "Plant Parts",
+        clues: mockClues(
+          ["This part holds a plant in the soil.", "Roots"],
+          ["Most of a plant's food is made here.", "The leaves"],
+          ["This part carries water up to the leaves.", "The stem"],
+          ["Tiny openings on leaves are called this.", "Stomata"],
+          ["This part of many plants makes seeds.", "The flower"]
+        ),
+      },
+      {
+        title: "Food Factory",
+        clues: mockClues(
+          ["Plants make their own food by this process.", "Photosynthesis"],
+          ["Plants need energy from this to make food.", "Sunlight"],
+          ["The kind of food plants make.", "Sugar (glucose)"],
+          ["A living thing that makes its own food.", "A producer"],
+          ["Plants get this liquid from the soil.", "Water"]
+        ),
+      },
+      {
+        title: "Gas Exchange",
+        clues: mockClues(
+          ["Plants give off this gas that we breathe.", "Oxygen", ["O2"]],
+          ["Plants take in this gas from the air.", "Carbon dioxide", ["CO2"]],
+          ["Gases move in and out of leaves through these.", "Stomata"],
+          [
+            "Animals breathe out this gas that plants need.",
+            "Carbon dioxide",
+            ["CO2"],
+          ],
+          ["True or false: plants help clean the air.", "True"]
+        ),
+      },
+      {
+        title: "Going Green",
+        clues: mockClues(
+          ["The green material in leaves.", "Chlorophyll"],
+          ["Chlorophyll catches this from the sun.", "Light (energy)"],
+          ["Why are most leaves green?", "They have chlorophyll"],
+          ["Leaves change color in this season.", "Fall (autumn)"],
+          ["Would a plant in a dark closet stay healthy?", "No"]
+        ),
+      },
+      {
+        title: "Food Chains",
+        clues: mockClues(
+          ["An animal that eats only plants.", "An herbivore", ["Plant eater"]],
+          ["A food chain usually starts with this.", "A plant (producer)"],
+          ["Animals that eat other animals are called this.", "Carnivores"],
+          ["An animal that eats plants and animals.", "An omnivore"],
+          ["The energy in every food chain first comes from here.", "The sun"]
+        ),
+      },
+    ],
+    final: {
+      category: "Green Machines",
+      question:
+        "Plants take in carbon dioxide and give off this gas as a result of photosynthesis.",
+      answer: "Oxygen",
+    },
+  },
+];
+
+// ---------- Slides export (pptxgenjs) ----------
+// Deck order: title, summary, one slide per vocab term, the board, then a
+// question/answer slide pair per clue and one for the Final clue. Board tiles
+// link to their question slide; answer slides link back to the board, so it
+// plays like the web game.
+const SLIDE_COLORS = {
+  navy: "1E3A8A",
+  tile: "1E40AF",
+  gold: "FDE047",
+  ink: "111827",
+  muted: "6B7280",
+  paper: "F9FAFB",
+};
+
+async function exportLessonPptx({ title, source, summary, vocab, board }) {
+  const pptx = new PptxGenJS();
+  pptx.layout = "LAYOUT_WIDE"; // 13.33 × 7.5 in
+  pptx.title = title;
+  const W = 13.33;
+
+  const vocabList = vocab || [];
+  const categories = board?.categories || [];
+  const boardSlideNo = 2 + (summary ? 1 : 0) + vocabList.length;
+  // Flattened clue order: column by column, so slide numbers are predictable.
+  const clueOrder = [];
+  categories.forEach((cat, c) =>
+    cat.clues.forEach((clue, r) => clueOrder.push({ c, r, cat, clue }))
+  );
+  const questionSlideNo = (c, r) =>
+    boardSlideNo + 1 + 2 * clueOrder.findIndex((x) => x.c === c && x.r === r);
+
+  function heading(slide, text, color = SLIDE_COLORS.navy) {
+    slide.addText(text, {
+      x: 0.5,
+      y: 0.3,
+      w: W - 1,
+      h: 0.8,
+      fontSize: 30,
+      bold: true,
+      color,
+    });
+  }
+  function link(slide, text, slideNo, x, y, w = 2.6) {
+    slide.addText(
+      [{ text, options: { hyperlink: { slide: slideNo, tooltip: text } } }],
+      {
+        x,
+        y,
+        w,
+        h: 0.5,
+        fontSize: 16,
+        bold: true,
+        align: "center",
+        color: SLIDE_COLORS.ink,
+        fill: { color: SLIDE_COLORS.gold },
+      }
+    );
+  }
+
+  // 1) Title
+  const titleSlide = pptx.addSlide();
+  titleSlide.background = { color: SLIDE_COLORS.navy };
+  titleSlide.addText(title, {
+    x: 0.5,
+    y: 2.4,
+    w: W - 1,
+    h: 1.4,
+    fontSize: 44,
+    bold: true,
+    align: "center",
+    color: SLIDE_COLORS.gold,
+  });
+  titleSlide.addText(
+    [source, new Date().toLocaleDateString()].filter(Boolean).join(" · "),
+    {
+      x: 0.5,
+      y: 4,
+      w: W - 1,
+      h: 0.6,
+      fontSize: 16,
+      align: "center",
+      color: "FFFFFF",
+    }
+  );
+
+  // 2) Summary
+  if (summary) {
+    const s = pptx.addSlide();
+    heading(s, "Summary");
+    s.addText(summary, {
+      x: 0.8,
+      y: 1.4,
+      w: W - 1.6,
+      h: 5.4,
+      fontSize: 24,
+      valign: "top",
+      color: SLIDE_COLORS.ink,
+    });
+  }
+
+  // 3) Vocabulary, one term per slide
+  vocabList.forEach((v, i) => {
+    const s = pptx.addSlide();
+    s.addText(`Vocabulary ${i + 1} of ${vocabList.length}`, {
+      x: 0.5,
+      y: 0.3,
+      w: W - 1,
+      h: 0.5,
+      fontSize: 14,
+      color: SLIDE_COLORS.muted,
+    });
+    s.addText(v.term, {
+      x: 0.5,
+      y: 1.8,
+      w: W - 1,
+      h: 1.4,
+      fontSize: 54,
+      bold: true,
+      align: "center",
+      color: SLIDE_COLORS.navy,
+    });
+    s.addText(v.definition, {
+      x: 1.2,
+      y: 3.5,
+      w: W - 2.4,
+      h: 2,
+      fontSize: 28,
+      align: "center",
+      valign: "top",
+      color: SLIDE_COLORS.ink,
+    });
+  });
+
+  if (!categories.length) {
+    await pptx.writeFile({ fileName: slideFileName(title) });
+    return;
+  }
+
+  // 4) Board
+  const boardSlide = pptx.addSlide();
+  boardSlide.background = { color: SLIDE_COLORS.ink };
+  const cols = categories.length;
+  const rows = Math.max(...categories.map((c) => c.clues.length));
+  const gap = 0.12;
+  const colW = (W - 1 - gap * (cols - 1)) / cols;
+  const top = 0.35;
+  const headH = 1;
+  const final =
+    board.final?.question && board.final?.answer ? board.final : null;
+  const finalSlideNo = boardSlideNo + 1 + 2 * clueOrder.length;
+  const bottom = final ? 0.9 : 0.35; // room for the Final link
+  const rowH = (7.5 - top - bottom - headH - gap * rows) / rows;
+  categories.forEach((cat, c) => {
+    const x = 0.5 + c * (colW + gap);
+    boardSlide.addText(cat.title.toUpperCase(), {
+      x,
+      y: top,
+      w: colW,
+      h: headH,
+      fontSize: 16,
+      bold: true,
+      align: "center",
+      valign: "middle",
+      color: SLIDE_COLORS.gold,
+      fill: { color: SLIDE_COLORS.navy },
+    });
+    cat.clues.forEach((clue, r) => {
+      const value = formatPoints(clue.value || (r + 1) * 100, board.unit);
+      boardSlide.addText(
+        [
+          {
+            text: value,
+            options: {
+              hyperlink: { slide: questionSlideNo(c, r), tooltip: cat.title },
+            },
+          },
+        ],
+        {
+          x,
+          y: top + headH + gap + r * (rowH + gap),
+          w: colW,
+          h: rowH,
+          fontSize: 32,
+          bold: true,
+          align: "center",
+          valign: "middle",
+          color: SLIDE_COLORS.gold,
+          fill: { color: SLIDE_COLORS.tile },
+        }
+      );
+    });
+  });
+
+  // 5) Question + answer pairs
+  clueOrder.forEach(({ c, r, cat, clue }) => {
+    const value = formatPoints(clue.value || (r + 1) * 100, board.unit);
+    const q = pptx.addSlide();
+    q.background = { color: SLIDE_COLORS.tile };
+    q.addText(`${cat.title} · ${value}`, {
+      x: 0.5,
+      y: 0.3,
+      w: W - 1,
+      h: 0.6,
+      fontSize: 20,
+      bold: true,
+      color: SLIDE_COLORS.gold,
+    });
+    q.addText(clue.question, {
+      x: 0.8,
+      y: 1.3,
+      w: W - 1.6,
+      h: 4.6,
+      fontSize: 40,
+      bold: true,
+      align: "center",
+      valign: "middle",
+      color: "FFFFFF",
+    });
+    link(q, "◀ Board", boardSlideNo, 0.5, 6.6);
+    link(q, "Show answer ▶", questionSlideNo(c, r) + 1, W - 3.1, 6.6);
+
+    const a = pptx.addSlide();
+    a.background = { color: SLIDE_COLORS.navy };
+    a.addText(`${cat.title} · ${value}`, {
+      x: 0.5,
+      y: 0.3,
+      w: W - 1,
+      h: 0.6,
+      fontSize: 20,
+      bold: true,
+      color: SLIDE_COLORS.gold,
+    });
+    a.addText(clue.question, {
+      x: 0.8,
+      y: 1.2,
+      w: W - 1.6,
+      h: 1.6,
+      fontSize: 22,
+      align: "center",
+      valign: "middle",
+      color: "DBEAFE",
+    });
+    a.addText(clue.answer, {
+      x: 0.8,
+      y: 3,
+      w: W - 1.6,
+      h: 2.6,
+      fontSize: 44,
+      bold: true,
+      align: "center",
+      valign: "middle",
+      color: SLIDE_COLORS.gold,
+    });
+    link(a, "◀ Back to board", boardSlideNo, (W - 3.2) / 2, 6.4, 3.2);
+  });
+
+  // 6) Final Trivia question + answer
+  if (final) {
+    link(boardSlide, "Final Trivia ▶", finalSlideNo, (W - 3.2) / 2, 6.85, 3.2);
+    const fq = pptx.addSlide();
+    fq.background = { color: SLIDE_COLORS.ink };
+    fq.addText(`FINAL TRIVIA${final.category ? ` · ${final.category}` : ""}`, {
+      x: 0.5,
+      y: 0.3,
+      w: W - 1,
+      h: 0.6,
+      fontSize: 22,
+      bold: true,
+      color: SLIDE_COLORS.gold,
+    });
+    fq.addText(final.question, {
+      x: 0.8,
+      y: 1.3,
+      w: W - 1.6,
+      h: 4.6,
+      fontSize: 40,
+      bold: true,
+      align: "center",
+      valign: "middle",
+      color: "FFFFFF",
+    });
+    link(fq, "◀ Board", boardSlideNo, 0.5, 6.6);
+    link(fq, "Show answer ▶", finalSlideNo + 1, W - 3.1, 6.6);
+
+    const fa = pptx.addSlide();
+    fa.background = { color: SLIDE_COLORS.navy };
+    fa.addText(final.answer, {
+      x: 0.8,
+      y: 2,
+      w: W - 1.6,
+      h: 3,
+      fontSize: 48,
+      bold: true,
+      align: "center",
+      valign: "middle",
+      color: SLIDE_COLORS.gold,
+    });
+    link(fa, "◀ Back to board", boardSlideNo, (W - 3.2) / 2, 6.4, 3.2);
+  }
+
+  await pptx.writeFile({ fileName: slideFileName(title) });
+}
+
+function slideFileName(title) {
+  const base = String(title || "lesson")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${base || "lesson"}.pptx`;
+}
+
+// ---------- Lesson packs (save / load) ----------
+// A lesson pack is everything a build produced, so a lesson can be prepared
+// ahead of time and shared without spending API calls again. Bump
+// LESSON_PACK_VERSION when the shape changes and teach parseLessonPack to
+// upgrade older files.
+const LESSON_PACK_FORMAT = "plug-and-play-lesson-pack";
+const LESSON_PACK_VERSION = 1;
+
+function buildLessonPack({ source, summary, vocab, board, meta }) {
+  return {
+    format: LESSON_PACK_FORMAT,
+    version: LESSON_PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    meta: meta || {},
+    source,
+    summary,
+    vocab: vocab.map(({ term, definition, wheel, puzzle, category }) => ({
+      term,
+      definition,
+      wheel: wheel !== false,
+      puzzle: puzzle || "",
+      category: category || "",
+    })),
+    board: board && {
+      categories: board.categories.map((cat) => ({
+        title: cat.title,
+        clues: cat.clues.map(({ question, answer, alternates, value }) => ({
+          question,
+          answer,
+          ...(alternates?.length
+            ? { alternates: cleanAlternates(alternates) }
+            : {}),
+          value,
+        })),
+      })),
+      values: board.values,
+      unit: board.unit,
+      final: board.final || null,
+    },
+  };
+}
+
+export function parseLessonPack(text) {
+  const bad = (where, msg) =>
+    new Error(`Invalid lesson pack: ${where} ${msg}.`);
+  const str = (v, where, { optional = false } = {}) => {
+    if (v == null && optional) return "";
+    if (typeof v !== "string") throw bad(where, "must be text");
+    return v.trim();
+  };
+  const strList = (v, where) => {
+    if (v == null) return [];
+    if (!Array.isArray(v)) throw bad(where, "must be a list");
+    return v.map((x, i) => str(x, `${where}[${i + 1}]`));
+  };
+
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch {
+    throw new Error(
+      "That file isn't valid JSON, so it can't be a lesson pack."
+    );
+  }
+  if (!pack || typeof pack !== "object" || pack.format !== LESSON_PACK_FORMAT)
+    throw new Error("That file isn't a Plug & Play lesson pack.");
+  if (!Number.isInteger(pack.version) || pack.version < 1)
+    throw bad("version", "is missing");
+  if (pack.version > LESSON_PACK_VERSION)
+    throw new Error(
+      `This lesson pack was saved by a newer version of the app (pack v${pack.version}, this app reads up to v${LESSON_PACK_VERSION}).`
+    );
+
+  const source = pack.source || {};
+  const mode = source.mode === "url" ? "url" : "text";
+  const summary = str(pack.summary, "summary", { optional: true });
+
+  if (!Array.isArray(pack.vocab)) throw bad("vocab", "must be a list");
+  const vocab = pack.vocab.map((v, i) => ({
+    id: uid("term"),
+    term: str(v?.term, `vocab[${i + 1}].term`),
+    definition: str(v?.definition, `vocab[${i + 1}].definition`, {
+      optional: true,
+    }),
+    wheel: v?.wheel !== false,
+    puzzle: str(v?.puzzle, `vocab[${i + 1}].puzzle`, { optional: true }),
+    category: str(v?.category, `vocab[${i + 1}].category`, {
+      optional: true,
+    }),
+  }));
+  vocab.forEach((v, i) => {
+    if (!v.term) throw bad(`vocab[${i + 1}].term`, "is empty");
+  });
+
+  let board = null;
+  if (pack.board != null) {
+    const cats = pack.board.categories;
+    const sizes = `${BOARD_SIZES[0]} to ${BOARD_SIZES[BOARD_SIZES.length - 1]}`;
+    if (!Array.isArray(cats) || !BOARD_SIZES.includes(cats.length))
+      throw bad("board.categories", `must be a list of ${sizes} categories`);
+    let values = pack.board.values;
+    if (values == null) values = buildValueLadder({}).values;
+    if (
+      !Array.isArray(values) ||
+      !values.length ||
+      values.some((v) => typeof v !== "number" || !(v > 0))
+    )
+      throw bad("board.values", "must be a list of positive numbers");
+    const categories = cats.map((cat, c) => {
+      const where = `board.categories[${c + 1}]`;
+      if (!Array.isArray(cat?.clues))
+        throw bad(`${where}.clues`, "must be a list");
+      return {
+        title: str(cat.title, `${where}.title`).slice(0, 40),
+        clues: cat.clues.map((cl, r) => ({
+          id: uid("clue"),
+          question: str(cl?.question, `${where}.clues[${r + 1}].question`),
+          answer: str(cl?.answer, `${where}.clues[${r + 1}].answer`),
+          alternates: cleanAlternates(
+            strList(cl?.alternates, `${where}.clues[${r + 1}].alternates`)
+          ),
+        })),
+      };
+    });
+    // Short columns are padded with blanks, as for a partial AI board, so the
+    // grid stays rectangular.
+    const rows = Math.max(...categories.map((cat) => cat.clues.length));
+    if (!BOARD_SIZES.includes(rows))
+      throw bad("board.categories", `must have ${sizes} clues each`);
+    categories.forEach((cat) => {
+      while (cat.clues.length < rows)
+        cat.clues.push({
+          id: uid("clue"),
+          question: "",
+          answer: "",
+          placeholder: true,
+        });
+    });
+    board = {
+      values,
+      unit: pack.board.unit === "pts" ? "pts" : "$",
+      categories: withRowValues(categories, values),
+      final: null,
+    };
+    const f = pack.board.final;
+    if (f != null) {
+      if (typeof f !== "object") throw bad("board.final", "must be an object");
+      board.final = normalizeFinalClue({
+        category: str(f.category, "board.final.category", { optional: true }),
+        question: str(f.question, "board.final.question"),
+        answer: str(f.answer, "board.final.answer"),
+      });
+    }
+  }
+
+  // Only the fields the app reads come through, checked like the rest, since
+  // the provider and model end up on screen.
+  let meta = {};
+  if (pack.meta != null) {
+    const m = pack.meta;
+    if (typeof m !== "object" || Array.isArray(m))
+      throw bad("meta", "must be an object");
+    const generatedAt = str(m.generatedAt, "meta.generatedAt", {
+      optional: true,
+    });
+    if (generatedAt && Number.isNaN(Date.parse(generatedAt)))
+      throw bad("meta.generatedAt", "must be a date");
+    if (m.promptVersion != null && !Number.isInteger(m.promptVersion))
+      throw bad("meta.promptVersion", "must be a whole number");
+    if (
+      m.settings != null &&
+      (typeof m.settings !== "object" || Array.isArray(m.settings))
+    )
+      throw bad("meta.settings", "must be an object");
+    meta = {
+      provider: str(m.provider, "meta.provider", { optional: true }),
+      model: str(m.model, "meta.model", { optional: true }),
+      promptVersion: m.promptVersion ?? null,
+      settings: m.settings ?? null,
+      generatedAt,
+    };
+  }
+  return {
+    source: {
+      mode,
+      url: str(source.url, "source.url", { optional: true }),
+      text: str(source.text, "source.text", { optional: true }),
+    },
+    summary,
+    vocab,
+    board,
+    meta: { ...meta, importedAt: new Date().toISOString() },
+  };
+}
+
+function downloadJSON(obj, fileName) {
+  const blob = new Blob([JSON.stringify(obj, null, 2)], {
+    type: "application/json",
+  });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// ---------- Saved games (localStorage) ----------
+// The current lesson is autosaved as-is (ids included) and each lesson's game
+// session lives under its own key, so a refresh or a sleeping projector laptop
+// can pick up exactly where the class left off.
+const LESSON_SAVE_KEY = "pp.currentLesson";
+const GAME_SAVE_PREFIX = "pp.game.";
+const MAX_SAVED_GAMES = 10;
+
+function readStored(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false; // quota exceeded or storage disabled
+  }
+}
+
+function saveCurrentLesson(lesson) {
+  if (writeStored(LESSON_SAVE_KEY, lesson)) return;
+  // Whole textbook chapters can overflow the quota; the games don't need
+  // the source text to resume.
+  writeStored(LESSON_SAVE_KEY, {
+    ...lesson,
+    source: { ...lesson.source, text: "" },
+  });
+}
+
+const loadGameSession = (lessonId) =>
+  lessonId ? readStored(GAME_SAVE_PREFIX + lessonId) : null;
+
+function saveGameSession(lessonId, patch) {
+  if (!lessonId) return;
+  const key = GAME_SAVE_PREFIX + lessonId;
+  writeStored(key, { ...readStored(key), ...patch, savedAt: Date.now() });
+  // Keep only the most recent sessions.
+  const keys = Object.keys(localStorage).filter((k) =>
+    k.startsWith(GAME_SAVE_PREFIX)
+  );
+  if (keys.length > MAX_SAVED_GAMES)
+    keys
+      .map((k) => [k, readStored(k)?.savedAt || 0])
+      .sort((a, b) => b[1] - a[1])
+      .slice(MAX_SAVED_GAMES)
+      .forEach(([k]) => localStorage.removeItem(k));
+}
+
+function clearGameSession(lessonId) {
+  if (lessonId) localStorage.removeItem(GAME_SAVE_PREFIX + lessonId);
+}
+
+// ---------- Players & teams ----------
+// A "player" is whoever scores: one student or a whole team. Players carry
+// stable ids so the ledger and turn order survive renames and reordering.
+const PLAYER_COLORS = [
+  "#f59e0b",
+  "#3b82f6",
+  "#10b981",
+  "#ef4444",
+  "#8b5cf6",
+  "#ec4899",
+  "#14b8a6",
+  "#f97316",
+];
+const PLAYER_AVATARS = [
+  "🦊",
+  "🐼",
+  "🐸",
+  "🦉",
+  "🐙",
+  "🦁",
+  "🐢",
+  "🐝",
+  "🚀",
+  "⭐",
+];
+
+function makePlayer(name, n, extra) {
+  return {
+    id: uid("player"),
+    name,
+    score: 0,
+    color: PLAYER_COLORS[n % PLAYER_COLORS.length],
+    avatar: PLAYER_AVATARS[n % PLAYER_AVATARS.length],
+    members: [],
+    ...extra,
+  };
+}
+
+const defaultPlayers = () => [
+  makePlayer("Player 1", 0),
+  makePlayer("Player 2", 1),
+];
+
+// Sessions saved before players had ids still restore.
+const withPlayerIds = (players) =>
+  players.map((p, i) =>
+    p.id ? p : { ...makePlayer(p.name, i), ...p, id: uid("player") }
+  );
+
+// Splits a line at commas, tabs or semicolons outside double quotes, so a
+// quoted "Smith, John" stays one cell; "" inside quotes is a literal quote.
+function splitListLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (line[i + 1] === '"') cell += line[i++];
+      else quoted = false;
+    } else if (ch === '"' && !cell.trim()) quoted = true;
+    else if (/[,\t;]/.test(ch)) {
+      cells.push(cell.trim());
+      cell = "";
+    } else cell += ch;
+  }
+  return [...cells, cell.trim()];
+}
+
+// Accepts one name per line or a CSV/TSV export. A header row is used when it
+// names its columns: "name" (or "first"/"last"), and "team"/"group" to put
+// students straight into teams.
+export function parseClassList(text) {
+  const rows = String(text || "")
+    .split(/\r?\n/)
+    .map(splitListLine)
+    .filter((cells) => cells.some(Boolean));
+  if (!rows.length) return [];
+
+  const header = rows[0].map((h) => h.toLowerCase());
+  const col = (re) => header.findIndex((h) => re.test(h));
+  const first = col(/first/);
+  const last = col(/last|surname/);
+  const name = col(/name/);
+  const team = col(/^(team|group)/);
+  const hasHeader = first >= 0 || name >= 0 || team >= 0;
+
+  return (hasHeader ? rows.slice(1) : rows)
+    .map((cells) => ({
+      name:
+        first >= 0 && last >= 0
+          ? `${cells[first] || ""} ${cells[last] || ""}`.trim()
+          : cells[first >= 0 ? first : name >= 0 ? name : 0] || "",
+      team: team >= 0 ? cells[team] || "" : "",
+    }))
+    .filter((s) => s.name);
+}
+
+// Students become players, teams from the list's own team column, or teams
+// of `teamSize` in list order.
+function rosterFromClassList(students, teamSize = 0) {
+  if (students.some((s) => s.team)) {
+    const teams = new Map();
+    students.forEach((s) => {
+      const key = s.team || "Unassigned";
+      teams.set(key, [...(teams.get(key) || []), s.name]);
+    });
+    return [...teams].map(([name, members], i) =>
+      makePlayer(name, i, { members })
+    );
+  }
+  if (teamSize > 1) {
+    const teams = [];
+    for (let i = 0; i < students.length; i += teamSize)
+      teams.push(
+        makePlayer(`Team ${teams.length + 1}`, teams.length, {
+          members: students.slice(i, i + teamSize).map((s) => s.name),
+        })
+      );
+    return teams;
+  }
+  return students.map((s, i) => makePlayer(s.name, i));
+}
+
+// ---------- Score ledger ----------
+// Every score change goes through one reducer so it can be listed, undone and
+// redone. Entries store a delta (a `set` records "minus whatever they had"),
+// which makes undo a plain subtraction no matter what happened since.
+const MAX_LEDGER_ENTRIES = 300;
+const LEDGER_GAMES = {
+  trivia: "Trivia",
+  final: "Final Trivia",
+  wheel: "Wonder Wheel",
+  manual: "Manual",
+};
+
+function applyDelta(players, playerId, delta) {
+  return players.map((p) =>
+    p.id === playerId ? { ...p, score: (p.score || 0) + delta } : p
+  );
+}
+
+// Removing players who have scored is itself an entry, so undo brings them
+// back (where they were, with their scores) before it reaches any of their
+// earlier entries. `added` covers a class list that replaced the roster.
+function rosterChange(players, { removed, added }, undo) {
+  const [drop, put] = undo ? [added, removed] : [removed, added];
+  const dropIds = new Set(drop.map((r) => r.player.id));
+  const next = players.filter((p) => !dropIds.has(p.id));
+  put.forEach(({ player, index }) =>
+    next.splice(Math.min(index, next.length), 0, player)
+  );
+  return next;
+}
+
+export function scoreLedgerReducer(state, action) {
+  switch (action.type) {
+    case "score": {
+      const { playerId, reason = "", game = "manual" } = action;
+      const current = state.players.find((p) => p.id === playerId);
+      if (!current) return state;
+      const delta =
+        action.set != null
+          ? action.set - (current.score || 0)
+          : Math.round(action.delta);
+      if (!delta) return state;
+      const entry = {
+        id: uid("score"),
+        at: Date.now(),
+        playerId,
+        name: current.name || "Player",
+        delta,
+        reason,
+        game,
+      };
+      return {
+        players: applyDelta(state.players, playerId, delta),
+        log: [...state.log, entry].slice(-MAX_LEDGER_ENTRIES),
+        redo: [],
+      };
+    }
+    case "undo": {
+      const entry = state.log[state.log.length - 1];
+      if (!entry) return state;
+      return {
+        players: entry.roster
+          ? rosterChange(state.players, entry.roster, true)
+          : applyDelta(state.players, entry.playerId, -entry.delta),
+        log: state.log.slice(0, -1),
+        redo: [...state.redo, entry],
+      };
+    }
+    case "redo": {
+      const entry = state.redo[state.redo.length - 1];
+      if (!entry) return state;
+      return {
+        players: entry.roster
+          ? rosterChange(state.players, entry.roster, false)
+          : applyDelta(state.players, entry.playerId, entry.delta),
+        log: [...state.log, entry],
+        redo: state.redo.slice(0, -1),
+      };
+    }
+    case "players": {
+      // Adding, renaming and reordering players. Scores only move through
+      // entries, so dropping anyone with a score or a history is logged.
+      const next =
+        typeof action.update === "function"
+          ? action.update(state.players)
+          : action.update;
+      const keep = new Set(next.map((p) => p.id));
+      const had = new Set(state.players.map((p) => p.id));
+      const removed = state.players
+        .map((player, index) => ({ player, index }))
+        .filter(({ player }) => !keep.has(player.id));
+      const scored = ({ player }) =>
+        player.score || state.log.some((e) => e.playerId === player.id);
+      if (!removed.some(scored)) return { ...state, players: next };
+      const added = next
+        .map((player, index) => ({ player, index }))
+        .filter(({ player }) => !had.has(player.id));
+      const entry = {
+        id: uid("score"),
+        at: Date.now(),
+        playerId: null,
+        name: removed
+          .filter(scored)
+          .map((r) => r.player.name || "Player")
+          .join(", "),
+        delta: -removed.reduce((n, r) => n + (r.player.score || 0), 0),
+        reason: added.length ? "Roster replaced" : "Removed from the roster",
+        game: "manual",
+        roster: { removed, added },
+      };
+      return {
+        players: next,
+        log: [...state.log, entry].slice(-MAX_LEDGER_ENTRIES),
+        redo: [],
+      };
+    }
+    case "restore": {
+      const players = action.players?.length
+        ? withPlayerIds(action.players)
+        : state.players;
+      const log = (Array.isArray(action.log) ? action.log : []).map((e) =>
+        e.playerId ? e : { ...e, playerId: players[e.player]?.id }
+      );
+      return { players, log, redo: [] };
+    }
+    case "reset":
+      return {
+        players: state.players.map((p) => ({ ...p, score: 0 })),
+        log: [],
+        redo: [],
+      };
+    default:
+      throw new Error(`Unknown score action: ${action.type}`);
+  }
+}
+
+// ---------- Game engines ----------
+// Each game's rules are a pure reducer with an explicit action API; the
+// components only render engine state and send actions. Whatever the rules
+// read but don't own (players, the puzzle, the board, the wheel, the clock)
+// arrives as action.ctx. Anything that must happen outside the game state (a
+// score change, a sound, confetti, a follow-up action after a delay) is queued
+// on state.effects; useGameEngine runs the queue and acknowledges it with
+// "effectsDone", so an effect can't run twice or get lost between renders.
+const withEffects = (state, ...effects) => ({
+  ...state,
+  effects: [...state.effects, ...effects],
+});
+const effectsDone = (state, count) => ({
+  ...state,
+  effects: state.effects.slice(count),
+});
+
+function useGameEngine(reducer, init, ctx, runEffect) {
+  const [state, dispatch] = useReducer(reducer, undefined, init);
+  // Delayed actions and effects always see the latest players and board.
+  const ctxRef = useRef(ctx);
+  ctxRef.current = ctx;
+  const runRef = useRef(runEffect);
+  runRef.current = runEffect;
+  const send = useCallback(
+    (action) =>
+      dispatch({ ...action, ctx: { ...ctxRef.current, now: Date.now() } }),
+    []
+  );
+  useEffect(() => {
+    if (!state.effects.length) return;
+    for (const fx of state.effects) {
+      if (fx.type === "later") setTimeout(() => send(fx.action), fx.ms);
+      else runRef.current(fx);
+    }
+    dispatch({ type: "effectsDone", count: state.effects.length });
+  }, [state.effects, send]);
+  return [state, send];
+}
+
+// ---------- Dual-screen display (BroadcastChannel) ----------
+// The teacher's window publishes an answer-free snapshot of both games; a
+// second window opened with ?display=audience renders it for the projector,
+// and ?display=buzzer tabs send buzzes back. Snapshots are whole-state, so a
+// late or reloaded window asks for the current one ("hello") and catches up.
+// BroadcastChannel only links tabs of the same browser on the same device.
+const DISPLAY_CHANNEL = "pp.display";
+
+const displayRole = () =>
+  new URLSearchParams(window.location.search).get("display");
+
+function displayUrl(role) {
+  const url = new URL(window.location.href);
+  url.search = `?display=${role}`;
+  url.hash = "";
+  return url.toString();
+}
+
+const openDisplayChannel = () =>
+  typeof BroadcastChannel === "undefined"
+    ? null
+    : new BroadcastChannel(DISPLAY_CHANNEL);
+
+const openAudienceWindow = () =>
+  window.open(
+    displayUrl("audience"),
+    "pp-audience",
+    "popup,width=1280,height=800"
+  );
+
+const openBuzzerTab = () => window.open(displayUrl("buzzer"), "_blank");
+
+// ---------- UI ----------
+// Ensure Tailwind once
+function useTailwindCdn() {
+  useEffect(() => {
+    const id = "tailwind-cdn";
+    if (!document.getElementById(id)) {
+      const l = document.createElement("link");
+      l.id = id;
+      l.rel = "stylesheet";
+      l.href =
+        "https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css";
+      document.head.appendChild(l);
+    }
+  }, []);
+}
+
+function Header() {
+  return (
+    <header className="p-4 sm:p-6 border-b bg-white sticky top-0 z-20">
+      <div className="max-w-6xl mx-auto flex items-center justify-between gap-4">
+        <div className="flex items-baseline gap-3">
+          <h1 className="text-2xl sm:text-3xl font-bold">
+            Plug & Play Lesson Games
+          </h1>
+          <span className="text-xs text-gray-500 hidden sm:inline">
+            URL → Summary → Vocab → Games
+          </span>
+        </div>
+      </div>
+    </header>
+  );
+}
+
+// Non-secret provider settings always persist; the key only when asked.
+const keyStorageName = (provider) =>
+  provider === "gemini" ? "pp.apiKey" : `pp.apiKey.${provider}`;
+
+function loadAiSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem("pp.ai") || "{}") || {};
+  } catch {}
+  const provider = AI_PROVIDERS[saved.provider] ? saved.provider : "gemini";
+  const persist = localStorage.getItem("pp.persistKey") === "true";
+  return {
+    provider,
+    model: saved.model || AI_PROVIDERS[provider].defaults.model,
+    baseUrl: saved.baseUrl || AI_PROVIDERS[provider].defaults.baseUrl,
+    apiKey: persist ? localStorage.getItem(keyStorageName(provider)) || "" : "",
+  };
+}
+
+function ProviderPanel({ ai, setAi }) {
+  const [persist, setPersist] = useState(
+    () => localStorage.getItem("pp.persistKey") === "true"
+  );
+  const driver = AI_PROVIDERS[ai.provider];
+  const update = (patch) => setAi((prev) => ({ ...prev, ...patch }));
+
+  useEffect(() => {
+    const { provider, model, baseUrl } = ai;
+    localStorage.setItem("pp.ai", JSON.stringify({ provider, model, baseUrl }));
+  }, [ai.provider, ai.model, ai.baseUrl]); // eslint-disable-line
+  useEffect(() => {
+    if (persist && ai.apiKey)
+      localStorage.setItem(keyStorageName(ai.provider), ai.apiKey);
+  }, [persist, ai.provider, ai.apiKey]);
+
+  function chooseProvider(provider) {
+    const d = AI_PROVIDERS[provider];
+    setAi({
+      provider,
+      model: d.defaults.model,
+      baseUrl: d.defaults.baseUrl,
+      apiKey: persist
+        ? localStorage.getItem(keyStorageName(provider)) || ""
+        : "",
+    });
+  }
+
+  return (
+    <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
+      <h2 className="font-semibold text-lg mb-2">AI Provider</h2>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {Object.entries(AI_PROVIDERS).map(([id, d]) => (
+          <button
+            key={id}
+            className={cx(
+              "px-3 py-1.5 rounded-xl border",
+              ai.provider === id ? "bg-black text-white" : "bg-white"
+            )}
+            onClick={() => chooseProvider(id)}
+          >
+            {d.label}
+          </button>
+        ))}
+      </div>
+
+      {ai.provider === "mock" ? (
+        <p className="text-sm text-gray-600">
+          Builds a canned sample lesson (water cycle or photosynthesis) without
+          any network calls — handy for demos and trying out the games.
+        </p>
+      ) : (
+        <>
+          {ai.provider === "openai" && (
+            <div className="flex flex-wrap gap-2 mb-3 text-sm">
+              <span className="text-gray-500 self-center">Presets:</span>
+              {OPENAI_PRESETS.map((p) => (
+                <button
+                  key={p.label}
+                  className="px-2 py-1 rounded-lg border bg-white hover:bg-gray-50"
+                  onClick={() => update({ baseUrl: p.baseUrl, model: p.model })}
+                >
+                  {p.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="grid sm:grid-cols-2 gap-3">
+            <label className="text-sm">
+              <div className="text-gray-600 mb-1">Model</div>
+              <input
+                value={ai.model}
+                onChange={(e) => update({ model: e.target.value.trim() })}
+                placeholder={driver.defaults.model}
+                className="border rounded-xl px-3 py-2 w-full"
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-gray-600 mb-1">Endpoint</div>
+              <input
+                type="url"
+                value={ai.baseUrl}
+                onChange={(e) => update({ baseUrl: e.target.value.trim() })}
+                placeholder={driver.defaults.baseUrl}
+                className="border rounded-xl px-3 py-2 w-full"
+              />
+            </label>
+          </div>
+          <div className="mt-3 flex flex-col sm:flex-row gap-3 items-start sm:items-center">
+            <input
+              type="password"
+              value={ai.apiKey}
+              onChange={(e) => update({ apiKey: e.target.value.trim() })}
+              placeholder={
+                driver.needsKey
+                  ? "Paste your API key..."
+                  : "API key (optional for local servers)"
+              }
+              className="border rounded-xl px-3 py-2 w-full sm:w-96"
+            />
+            <label className="inline-flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={persist}
+                onChange={(e) => {
+                  const v = e.target.checked;
+                  setPersist(v);
+                  localStorage.setItem("pp.persistKey", String(v));
+                  if (!v)
+                    Object.keys(AI_PROVIDERS).forEach((id) =>
+                      localStorage.removeItem(keyStorageName(id))
+                    );
+                }}
+              />
+              Remember key on this device
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Tip: keep keys client-side for demos only. Local Ollama / llama.cpp
+            servers must allow this page's origin (CORS).
+          </p>
+        </>
+      )}
+    </section>
+  );
+}
+
+function SourceInput({
+  mode,
+  setMode,
+  url,
+  setUrl,
+  rawText,
+  setRawText,
+  upload,
+  setUpload,
+  fetcher,
+  setFetcher,
+  fetched,
+  setFetched,
+}) {
+  return (
+    <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
+      <h2 className="font-semibold text-lg mb-2">Source</h2>
+      <div className="flex gap-2 mb-3">
+        <button
+          className={cx(
+            "px-3 py-1.5 rounded-xl border",
+            mode === "url" ? "bg-black text-white" : "bg-white"
+          )}
+          onClick={() => setMode("url")}
+        >
+          URL
+        </button>
+        <button
+          className={cx(
+            "px-3 py-1.5 rounded-xl border",
+            mode === "text" ? "bg-black text-white" : "bg-white"
+          )}
+          onClick={() => setMode("text")}
+        >
+          Paste Text
+        </button>
+        <button
+          className={cx(
+            "px-3 py-1.5 rounded-xl border",
+            mode === "file" ? "bg-black text-white" : "bg-white"
+          )}
+          onClick={() => setMode("file")}
+        >
+          Upload file
+        </button>
+      </div>
+      {mode === "file" ? (
+        <FileSource
+          upload={upload}
+          setUpload={setUpload}
+          rawText={rawText}
+          setRawText={setRawText}
+        />
+      ) : mode === "url" ? (
+        <UrlSource
+          url={url}
+          setUrl={setUrl}
+          fetcher={fetcher}
+          setFetcher={setFetcher}
+          fetched={fetched}
+          setFetched={setFetched}
+          rawText={rawText}
+          setRawText={setRawText}
+        />
+      ) : (
+        <textarea
+          value={rawText}
+          onChange={(e) => setRawText(e.target.value)}
+          placeholder="Paste article text here..."
+          rows={7}
+          className="border rounded-xl px-3 py-2 w-full"
+        />
+      )}
+    </section>
+  );
+}
+
+// The extracted text, editable, with the controls that produced it. This is
+// what the build sends to the AI.
+function SourcePreview({ rawText, setRawText, children }) {
+  const words = rawText.trim() ? rawText.trim().split(/\s+/).length : 0;
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        {children}
+        <span className="ml-auto text-xs text-gray-500">
+          {words.toLocaleString()} words
+        </span>
+      </div>
+      <textarea
+        value={rawText}
+        onChange={(e) => setRawText(e.target.value)}
+        rows={10}
+        className="border rounded-xl px-3 py-2 w-full text-sm"
+        aria-label="Extracted text"
+      />
+      <p className="text-xs text-gray-500">
+        This is the text the lesson is built from. Cut anything the class
+        doesn’t need (a glossary, review questions) before building.
+      </p>
+    </div>
+  );
+}
+
+// URL mode: choose how pages are fetched, then preview the article that was
+// pulled out of the page. Building without a preview fetches it then.
+function UrlSource({
+  url,
+  setUrl,
+  fetcher,
+  setFetcher,
+  fetched,
+  setFetched,
+  rawText,
+  setRawText,
+}) {
+  const [busy, setBusy] = useState(false);
+  const [fetchError, setFetchError] = useState("");
+  const update = (patch) => setFetcher((prev) => ({ ...prev, ...patch }));
+
+  async function onPreview(e) {
+    e.preventDefault();
+    setFetchError("");
+    setBusy(true);
+    try {
+      const page = await fetchArticle(url.trim(), fetcher);
+      if (!page.text) throw new Error("No article text found on that page.");
+      setFetched({ url, title: page.title });
+      setRawText(page.text);
+    } catch (err) {
+      setFetchError(err.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <form className="flex gap-2" onSubmit={onPreview}>
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/lesson-article"
+          className="border rounded-xl px-3 py-2 w-full"
+        />
+        <button
+          className="px-3 py-2 rounded-xl border bg-white whitespace-nowrap disabled:opacity-60"
+          disabled={!url.trim() || busy}
+        >
+          {busy ? "Fetching…" : "Fetch & preview"}
+        </button>
+      </form>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <label className="inline-flex items-center gap-1">
+          Fetch
+          <select
+            value={fetcher.strategy}
+            onChange={(e) => update({ strategy: e.target.value })}
+            className="border rounded-lg px-2 py-1 bg-white"
+          >
+            {Object.entries(FETCH_STRATEGIES).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {fetcher.strategy === "proxy" && (
+          <input
+            value={fetcher.proxyUrl}
+            onChange={(e) => update({ proxyUrl: e.target.value })}
+            placeholder="https://proxy.school.org/fetch?url={url}"
+            className="border rounded-lg px-2 py-1 flex-1"
+            style={{ minWidth: "16rem" }}
+          />
+        )}
+      </div>
+      <p className="text-xs text-gray-500">
+        {fetcher.strategy === "direct"
+          ? "Many sites block browsers from fetching them; if yours does, use a proxy or Paste Text."
+          : fetcher.strategy === "bundled"
+          ? "Run `npm run proxy` on this computer first; it fetches pages for this app only."
+          : "Your proxy gets the page address in place of {url} (or on the end) and must allow this site (CORS)."}{" "}
+        The article is extracted on this device.
+      </p>
+      {fetchError && <div className="text-sm text-red-600">{fetchError}</div>}
+      {fetched?.url === url && !busy && (
+        <SourcePreview rawText={rawText} setRawText={setRawText}>
+          <span className="font-semibold">
+            {fetched.title || "Untitled page"}
+          </span>
+        </SourcePreview>
+      )}
+    </div>
+  );
+}
+
+// Upload mode: drop or pick a file, watch it extract, then trim the pages
+// and check the text before building. Edits in the preview are what gets
+// built; changing the page range re-extracts and replaces them.
+function FileSource({ upload, setUpload, rawText, setRawText }) {
+  const [progress, setProgress] = useState(null); // { pct, label }
+  const [fileError, setFileError] = useState("");
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  function choose(next) {
+    setUpload(next);
+    setRawText(uploadText(next));
+  }
+  async function onFile(file) {
+    if (!file || progress) return;
+    setFileError("");
+    setProgress({ pct: 0, label: `Reading ${file.name}…` });
+    try {
+      const pages = await readSourceFile(file, (pct, label) =>
+        setProgress({ pct, label })
+      );
+      if (!pages.join("").trim())
+        throw new Error(
+          sourceFileKind(file) === "pdf"
+            ? "No text found. A scanned PDF needs OCR before it can be used."
+            : "No text found in that file."
+        );
+      choose({
+        name: file.name,
+        pages,
+        from: 1,
+        to: pages.length,
+        dropRunning: pages.length >= 3,
+      });
+    } catch (e) {
+      setFileError(`Couldn't read “${file.name}”: ${e.message || String(e)}`);
+    } finally {
+      setProgress(null);
+    }
+  }
+  const setRange = (from, to) => {
+    const n = upload.pages.length;
+    const clamp = (v) => Math.min(n, Math.max(1, Math.round(v) || 1));
+    from = clamp(from);
+    choose({ ...upload, from, to: Math.max(from, clamp(to)) });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          onFile(e.dataTransfer.files?.[0]);
+        }}
+        onClick={() => inputRef.current?.click()}
+        className={cx(
+          "border-2 border-dashed rounded-xl p-6 text-center cursor-pointer",
+          dragging ? "border-indigo-500 bg-indigo-50" : "border-gray-300"
+        )}
+      >
+        <div className="font-semibold">
+          {upload
+            ? `📄 ${upload.name}`
+            : "Drop a file here, or click to choose"}
+        </div>
+        <div className="text-xs text-gray-500 mt-1">
+          PDF, Word (.docx), text, Markdown or saved web page (.html), up to{" "}
+          {MAX_SOURCE_FILE_MB} MB. Files are read on this device.
+        </div>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={SOURCE_FILE_ACCEPT}
+          className="hidden"
+          onChange={(e) => {
+            onFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {progress && (
+        <div>
+          <div className="text-xs text-gray-600 mb-1">{progress.label}</div>
+          <div className="h-2 rounded-full bg-gray-200 overflow-hidden">
+            <div
+              className="h-2 bg-indigo-600"
+              style={{ width: `${Math.round(progress.pct * 100)}%` }}
+            />
+          </div>
+        </div>
+      )}
+      {fileError && <div className="text-sm text-red-600">{fileError}</div>}
+
+      {upload && !progress && (
+        <SourcePreview rawText={rawText} setRawText={setRawText}>
+          {upload.pages.length > 1 && (
+            <>
+              <label className="inline-flex items-center gap-1">
+                Pages
+                <input
+                  type="number"
+                  min={1}
+                  max={upload.pages.length}
+                  value={upload.from}
+                  onChange={(e) => setRange(e.target.value, upload.to)}
+                  className="border rounded-md px-2 py-1 w-16"
+                />
+                to
+                <input
+                  type="number"
+                  min={upload.from}
+                  max={upload.pages.length}
+                  value={upload.to}
+                  onChange={(e) => setRange(upload.from, e.target.value)}
+                  className="border rounded-md px-2 py-1 w-16"
+                />
+                of {upload.pages.length}
+              </label>
+              <label className="inline-flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={upload.dropRunning}
+                  onChange={(e) =>
+                    choose({ ...upload, dropRunning: e.target.checked })
+                  }
+                />
+                Remove headers, footers and page numbers
+              </label>
+            </>
+          )}
+        </SourcePreview>
+      )}
+    </div>
+  );
+}
+
+// A number field that can be typed into freely: the text stays as typed while
+// the field has focus and is clamped to [min, max] on blur or Enter.
+function CountInput({ value, min, max, onCommit, ...props }) {
+  const [draft, setDraft] = useState(null);
+  function commit() {
+    if (draft == null) return;
+    const n = Math.round(Number(draft));
+    setDraft(null);
+    if (draft.trim() !== "" && Number.isFinite(n))
+      onCommit(Math.min(max, Math.max(min, n)));
+  }
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+      {...props}
+    />
+  );
+}
+
+function LessonSettingsPanel({ settings, setSettings }) {
+  const update = (patch) => setSettings((prev) => ({ ...prev, ...patch }));
+  const field = "border rounded-xl px-3 py-2 w-full bg-white";
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+      <label>
+        <div className="text-gray-600 mb-1">Grade</div>
+        <select
+          value={settings.grade}
+          onChange={(e) => update({ grade: e.target.value })}
+          className={field}
+        >
+          {GRADES.map((g) => (
+            <option key={g} value={g}>
+              {g === "K" ? "Kindergarten" : `Grade ${g}`}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        <div className="text-gray-600 mb-1">Reading level</div>
+        <select
+          value={settings.readingLevel}
+          onChange={(e) => update({ readingLevel: e.target.value })}
+          className={field}
+        >
+          <option value="below">Below grade level</option>
+          <option value="on">On grade level</option>
+          <option value="above">Above grade level</option>
+        </select>
+      </label>
+      <label>
+        <div className="text-gray-600 mb-1">Subject</div>
+        <input
+          value={settings.subject}
+          onChange={(e) => update({ subject: e.target.value })}
+          placeholder="e.g. Earth Science"
+          className={field}
+        />
+      </label>
+      <label>
+        <div className="text-gray-600 mb-1">Tone</div>
+        <select
+          value={settings.tone}
+          onChange={(e) => update({ tone: e.target.value })}
+          className={field}
+        >
+          {Object.keys(TONES).map((t) => (
+            <option key={t} value={t}>
+              {t[0].toUpperCase() + t.slice(1)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        <div className="text-gray-600 mb-1">Summary length</div>
+        <select
+          value={settings.summaryLength}
+          onChange={(e) => update({ summaryLength: e.target.value })}
+          className={field}
+        >
+          {Object.entries(SUMMARY_LENGTHS).map(([id, l]) => (
+            <option key={id} value={id}>
+              {l.label} ({l.sentences} sentences)
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        <div className="text-gray-600 mb-1">Vocab terms</div>
+        <div className="flex items-center gap-2">
+          <CountInput
+            min={VOCAB_LIMITS.min}
+            max={settings.vocabMax}
+            value={settings.vocabMin}
+            onCommit={(vocabMin) => update({ vocabMin })}
+            className={field}
+          />
+          <span className="text-gray-500">to</span>
+          <CountInput
+            min={settings.vocabMin}
+            max={VOCAB_LIMITS.max}
+            value={settings.vocabMax}
+            onCommit={(vocabMax) => update({ vocabMax })}
+            className={field}
+          />
+        </div>
+      </label>
+      <label>
+        <div className="text-gray-600 mb-1">Trivia board</div>
+        <div className="flex items-center gap-2">
+          <select
+            value={settings.boardCategories}
+            onChange={(e) =>
+              update({ boardCategories: Number(e.target.value) })
+            }
+            className={field}
+            title="Categories"
+          >
+            {BOARD_SIZES.map((n) => (
+              <option key={n} value={n}>
+                {n} cat.
+              </option>
+            ))}
+          </select>
+          <span className="text-gray-500">×</span>
+          <select
+            value={settings.boardRows}
+            onChange={(e) => update({ boardRows: Number(e.target.value) })}
+            className={field}
+            title="Clues per category"
+          >
+            {BOARD_SIZES.map((n) => (
+              <option key={n} value={n}>
+                {n} rows
+              </option>
+            ))}
+          </select>
+        </div>
+      </label>
+      <label>
+        <div className="text-gray-600 mb-1">Point values</div>
+        <select
+          value={settings.valueLadder}
+          onChange={(e) => update({ valueLadder: e.target.value })}
+          className={field}
+        >
+          {Object.entries(VALUE_LADDERS).map(([id, l]) => (
+            <option key={id} value={id}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {settings.valueLadder === "custom" && (
+        <label>
+          <div className="text-gray-600 mb-1">
+            Custom values (top to bottom)
+          </div>
+          <input
+            value={settings.customValues}
+            onChange={(e) => update({ customValues: e.target.value })}
+            placeholder="e.g. 10, 20, 50, 100"
+            className={field}
+          />
+        </label>
+      )}
+    </div>
+  );
+}
+
+function SummaryCard({ summary }) {
+  if (!summary) return null;
+  return (
+    <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
+      <h3 className="font-semibold text-lg mb-2">Kid-Friendly Summary</h3>
+      <p className="leading-7 text-gray-800">{summary}</p>
+    </section>
+  );
+}
+
+// Curation happens before the games read the list: WonderWheel only draws
+// puzzles from terms still marked wheel-eligible.
+function SortableTerm({ item, onEdit, onRemove }) {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id: item.id });
+  return (
+    <li
+      ref={setNodeRef}
+      style={{
+        transform: dragTransform(transform),
+        transition,
+        opacity: isDragging ? 0.5 : 1,
+      }}
+      className="border rounded-xl p-3 bg-white flex gap-2 items-start"
+    >
+      <button
+        {...attributes}
+        {...listeners}
+        className="cursor-grab active:cursor-grabbing px-1 text-gray-500"
+        title="Drag to reorder"
+      >
+        ⠿
+      </button>
+      <div className="flex-1 space-y-1">
+        <input
+          value={item.term}
+          onChange={(e) => onEdit({ term: e.target.value })}
+          placeholder="Term"
+          className="w-full border rounded-md px-2 py-1 font-semibold"
+        />
+        <textarea
+          value={item.definition}
+          onChange={(e) => onEdit({ definition: e.target.value })}
+          placeholder="Kid-friendly definition"
+          rows={2}
+          className="w-full border rounded-md px-2 py-1 text-sm"
+        />
+        <label className="inline-flex items-center gap-2 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={item.wheel !== false}
+            onChange={(e) => onEdit({ wheel: e.target.checked })}
+          />
+          Use as a Wonder Wheel puzzle
+        </label>
+        {item.wheel !== false && (
+          <div className="flex flex-wrap gap-2">
+            <input
+              value={item.puzzle || ""}
+              onChange={(e) =>
+                onEdit({ puzzle: e.target.value.slice(0, WW_PUZZLE_MAX) })
+              }
+              placeholder="Puzzle answer (blank = the term)"
+              className="flex-1 min-w-0 border rounded-md px-2 py-1 text-sm"
+            />
+            <input
+              value={item.category || ""}
+              onChange={(e) =>
+                onEdit({ category: e.target.value.slice(0, 20) })
+              }
+              placeholder={puzzleCategory({ ...item, category: "" })}
+              list="pp-puzzle-categories"
+              className="w-36 border rounded-md px-2 py-1 text-sm"
+              title="Category shown above the puzzle"
+            />
+          </div>
+        )}
+      </div>
+      <button
+        className="text-xs text-gray-400 hover:text-red-600"
+        onClick={onRemove}
+        title="Remove term"
+      >
+        ✕
+      </button>
+    </li>
+  );
+}
+
+function VocabList({ vocab, setVocab }) {
+  const [editing, setEditing] = useState(false);
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 4 } }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+  if (!vocab?.length && !editing) return null;
+
+  const edit = (id, patch) =>
+    setVocab((prev) => prev.map((v) => (v.id === id ? { ...v, ...patch } : v)));
+  const remove = (id) => setVocab((prev) => prev.filter((v) => v.id !== id));
+  const add = () =>
+    setVocab((prev) => [
+      ...prev,
+      { id: uid("term"), term: "", definition: "", wheel: true },
+    ]);
+  function onDragEnd({ active, over }) {
+    if (!over || active.id === over.id) return;
+    setVocab((prev) => {
+      const from = prev.findIndex((v) => v.id === active.id);
+      const to = prev.findIndex((v) => v.id === over.id);
+      return from < 0 || to < 0 ? prev : arrayMove(prev, from, to);
+    });
+  }
+  const wheelCount = vocab.filter((v) => v.wheel !== false).length;
+
+  return (
+    <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h3 className="font-semibold text-lg">Key Vocabulary</h3>
+        <div className="flex items-center gap-3">
+          <span className="text-xs text-gray-500">
+            {vocab.length} terms · {wheelCount} on the wheel
+          </span>
+          <button
+            className={cx(
+              "px-3 py-1.5 rounded-lg border",
+              editing ? "bg-black text-white" : "bg-white"
+            )}
+            onClick={() => {
+              // Blank rows left behind while editing are dropped on Done.
+              if (editing)
+                setVocab((prev) =>
+                  prev
+                    .map((v) => ({
+                      ...v,
+                      term: v.term.trim(),
+                      definition: v.definition.trim(),
+                    }))
+                    .filter((v) => v.term)
+                );
+              setEditing((v) => !v);
+            }}
+          >
+            {editing ? "✓ Done" : "✎ Curate"}
+          </button>
+        </div>
+      </div>
+      {editing ? (
+        <>
+          <DndContext
+            sensors={sensors}
+            collisionDetection={closestCorners}
+            onDragEnd={onDragEnd}
+          >
+            <SortableContext
+              items={vocab.map((v) => v.id)}
+              strategy={verticalListSortingStrategy}
+            >
+              <ul className="space-y-2">
+                {vocab.map((v) => (
+                  <SortableTerm
+                    key={v.id}
+                    item={v}
+                    onEdit={(patch) => edit(v.id, patch)}
+                    onRemove={() => remove(v.id)}
+                  />
+                ))}
+              </ul>
+            </SortableContext>
+          </DndContext>
+          <datalist id="pp-puzzle-categories">
+            {PUZZLE_CATEGORIES.map((c) => (
+              <option key={c} value={c} />
+            ))}
+          </datalist>
+          <button
+            className="mt-3 px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50"
+            onClick={add}
+          >
+            + Add term
+          </button>
+        </>
+      ) : (
+        <ul className="grid sm:grid-cols-2 gap-3">
+          {vocab.map((v) => (
+            <li
+              key={v.id}
+              className={cx(
+                "border rounded-xl p-3",
+                v.wheel === false && "opacity-60"
+              )}
+            >
+              <div className="font-semibold">
+                {v.term}
+                {v.wheel === false && (
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    (not on wheel)
+                  </span>
+                )}
+              </div>
+              {v.wheel !== false && v.puzzle && (
+                <div className="text-xs text-indigo-700">
+                  Puzzle: {v.puzzle} · {puzzleCategory(v)}
+                </div>
+              )}
+              <div className="text-sm text-gray-700">{v.definition}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// ---------- Player roster (shared by both games) ----------
+// Both games show the same roster; the game only decides who is active.
+// Reordering the roster reorders turns.
+function SortablePlayer({ player, buzzKey, unit, onEdit, onRemove }) {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id: player.id });
+  const nextAvatar = () => {
+    const i = PLAYER_AVATARS.indexOf(player.avatar);
+    onEdit({ avatar: PLAYER_AVATARS[(i + 1) % PLAYER_AVATARS.length] });
+  };
+  return (
+    <li
+      ref={setNodeRef}
+      style={{
+        transform: dragTransform(transform),
+        transition,
+        opacity: isDragging ? 0.5 : 1,
+        borderLeft: `6px solid ${player.color || "#d1d5db"}`,
+      }}
+      className="border rounded-xl p-2 bg-white flex gap-2 items-start"
+    >
+      <button
+        {...attributes}
+        {...listeners}
+        className="cursor-grab active:cursor-grabbing px-1 text-gray-500"
+        title="Drag to change turn order"
+      >
+        ⠿
+      </button>
+      <button
+        className="text-xl leading-none"
+        onClick={nextAvatar}
+        title="Change avatar"
+      >
+        {player.avatar || "🙂"}
+      </button>
+      <input
+        type="color"
+        value={player.color || "#d1d5db"}
+        onChange={(e) => onEdit({ color: e.target.value })}
+        className="w-8 h-8 border rounded cursor-pointer"
+        title="Team color"
+      />
+      <div className="flex-1 space-y-1">
+        <input
+          value={player.name}
+          onChange={(e) => onEdit({ name: e.target.value })}
+          placeholder="Player or team name"
+          className="w-full border rounded-md px-2 py-1 font-semibold"
+        />
+        <input
+          value={(player.members || []).join(", ")}
+          onChange={(e) =>
+            onEdit({
+              members: e.target.value
+                .split(",")
+                .map((m) => m.trimStart())
+                .filter((m, i, all) => m || i === all.length - 1),
+            })
+          }
+          placeholder="Team members, comma-separated (optional)"
+          className="w-full border rounded-md px-2 py-1 text-sm"
+        />
+      </div>
+      <input
+        value={player.buzzKey || ""}
+        onChange={(e) => onEdit({ buzzKey: e.target.value.slice(-1) })}
+        placeholder={buzzKey.toUpperCase()}
+        className="w-10 border rounded-md px-1 py-1 text-center uppercase"
+        title="Buzzer key"
+      />
+      <span className="text-sm font-semibold text-gray-600 whitespace-nowrap pt-1">
+        {formatPoints(player.score || 0, unit)}
+      </span>
+      <button
+        className="text-xs text-gray-400 hover:text-red-600 pt-1"
+        onClick={onRemove}
+        title="Remove"
+      >
+        ✕
+      </button>
+    </li>
+  );
+}
+
+function PlayerRoster({
+  players,
+  setPlayers,
+  active,
+  setActive,
+  activeIcon,
+  activeClass,
+  unit,
+}) {
+  const [managing, setManaging] = useState(false);
+  const [importText, setImportText] = useState("");
+  const [teamSize, setTeamSize] = useState(0);
+  const [replace, setReplace] = useState(true);
+  const [importError, setImportError] = useState("");
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 4 } }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+
+  // Keep the same player's turn when the list is reordered or trimmed.
+  function update(next) {
+    const activeId = players[active]?.id;
+    setPlayers(next);
+    const idx = next.findIndex((p) => p.id === activeId);
+    setActive(idx >= 0 ? idx : Math.min(active, Math.max(0, next.length - 1)));
+  }
+  const edit = (id, patch) =>
+    update(players.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  function remove(player) {
+    if (players.length <= 1) return;
+    if (
+      player.score &&
+      !window.confirm(
+        `Remove ${
+          player.name || "this player"
+        } and their score? Undo brings them back.`
+      )
+    )
+      return;
+    update(players.filter((p) => p.id !== player.id));
+  }
+  const add = (team) =>
+    update([
+      ...players,
+      makePlayer(
+        team ? `Team ${players.length + 1}` : `Player ${players.length + 1}`,
+        players.length
+      ),
+    ]);
+  function onDragEnd({ active: dragged, over }) {
+    if (!over || dragged.id === over.id) return;
+    const from = players.findIndex((p) => p.id === dragged.id);
+    const to = players.findIndex((p) => p.id === over.id);
+    if (from >= 0 && to >= 0) update(arrayMove(players, from, to));
+  }
+  function onImport() {
+    const students = parseClassList(importText);
+    if (!students.length) {
+      setImportError("No names found. Paste one name per line, or a CSV.");
+      return;
+    }
+    const imported = rosterFromClassList(students, teamSize);
+    if (
+      replace &&
+      players.some((p) => p.score) &&
+      !window.confirm(
+        "Replace the current roster? Its scores go with it; Undo brings them back."
+      )
+    )
+      return;
+    update(replace ? imported : [...players, ...imported]);
+    setImportText("");
+    setImportError("");
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2">
+        <h4 className="font-semibold">Players</h4>
+        <div className="flex gap-2">
+          <button
+            className="px-3 py-1.5 rounded-lg border"
+            onClick={() => add(false)}
+          >
+            + Add player
+          </button>
+          <button
+            className={cx(
+              "px-3 py-1.5 rounded-lg border",
+              managing ? "bg-black text-white" : "bg-white"
+            )}
+            onClick={() => setManaging((v) => !v)}
+            title="Rename, reorder, remove, teams and class lists"
+          >
+            {managing ? "✓ Done" : "⚙ Manage"}
+          </button>
+        </div>
+      </div>
+      <div className="mt-2 overflow-x-auto no-scrollbar">
+        <div className="flex gap-2 pr-2">
+          {players.map((p, i) => {
+            const members = (p.members || []).filter(Boolean);
+            return (
+              <button
+                key={p.id}
+                onClick={() => setActive(i)}
+                className={cx(
+                  "whitespace-nowrap rounded-full px-3 py-1.5 border text-sm font-semibold transition",
+                  i === active
+                    ? activeClass
+                    : "bg-white border-gray-300 text-gray-800 hover:bg-gray-50"
+                )}
+                style={{
+                  boxShadow: `inset 4px 0 0 ${p.color || "transparent"}`,
+                }}
+                title={
+                  members.length
+                    ? `${members.join(", ")} — set active`
+                    : "Set active player"
+                }
+              >
+                {i === active ? `${activeIcon} ` : ""}
+                {p.avatar ? `${p.avatar} ` : ""}
+                {p.name || `Player ${i + 1}`} ·{" "}
+                {formatPoints(p.score || 0, unit)}
+                {members.length ? ` · 👥${members.length}` : ""}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {managing && (
+        <div className="mt-3 border rounded-xl p-3 bg-gray-50 space-y-3">
+          <DndContext
+            sensors={sensors}
+            collisionDetection={closestCorners}
+            onDragEnd={onDragEnd}
+          >
+            <SortableContext
+              items={players.map((p) => p.id)}
+              strategy={verticalListSortingStrategy}
+            >
+              <ul className="space-y-2">
+                {players.map((p, i) => (
+                  <SortablePlayer
+                    key={p.id}
+                    player={p}
+                    buzzKey={buzzKeyFor(p, i)}
+                    unit={unit}
+                    onEdit={(patch) => edit(p.id, patch)}
+                    onRemove={() => remove(p)}
+                  />
+                ))}
+              </ul>
+            </SortableContext>
+          </DndContext>
+          <div className="flex gap-2">
+            <button
+              className="px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50"
+              onClick={() => add(false)}
+            >
+              + Player
+            </button>
+            <button
+              className="px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50"
+              onClick={() => add(true)}
+            >
+              + Team
+            </button>
+          </div>
+
+          <div className="border-t pt-3 space-y-2">
+            <div className="text-sm font-semibold">Import a class list</div>
+            <textarea
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              rows={4}
+              placeholder={
+                "One name per line, or CSV with a header row\n" +
+                "(name or first/last columns; optional team column)"
+              }
+              className="w-full border rounded-md px-2 py-1 text-sm"
+            />
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <select
+                value={teamSize}
+                onChange={(e) => setTeamSize(Number(e.target.value))}
+                className="border rounded-md px-2 py-1"
+                title="Group students into teams"
+              >
+                <option value={0}>One player per student</option>
+                {[2, 3, 4, 5, 6].map((n) => (
+                  <option key={n} value={n}>
+                    Teams of {n}
+                  </option>
+                ))}
+              </select>
+              <label className="inline-flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={replace}
+                  onChange={(e) => setReplace(e.target.checked)}
+                />
+                Replace current roster
+              </label>
+              <button
+                className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white"
+                onClick={onImport}
+              >
+                Import
+              </button>
+            </div>
+            {importError && (
+              <div className="text-sm text-red-600">{importError}</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Shot clock (shared by both games) ----------
+// Optional countdowns: answering a clue, calling a letter after a spin, and a
+// Wonder Wheel turn (spin, buy or solve). A clock restarts whenever its key
+// changes (a new clue, answerer, spin or turn) and disappears when the key is
+// null. Running out calls onExpire, which the games turn into "Incorrect" or
+// a passed turn.
+const TIMERS_KEY = "pp.timers";
+const DEFAULT_TIMERS = { on: false, clue: 30, letter: 10, solve: 20 };
+const TIMER_LIMITS = { min: 3, max: 600 };
+const CLOCK_WARN_SECONDS = 5;
+
+// Stored values get the same clamp as the settings fields.
+function loadTimers() {
+  const saved = readStored(TIMERS_KEY) || {};
+  const seconds = (key) => {
+    const n = Math.round(Number(saved[key]));
+    return saved[key] == null || saved[key] === "" || !Number.isFinite(n)
+      ? DEFAULT_TIMERS[key]
+      : Math.min(TIMER_LIMITS.max, Math.max(TIMER_LIMITS.min, n));
+  };
+  return {
+    on: saved.on === true,
+    clue: seconds("clue"),
+    letter: seconds("letter"),
+    solve: seconds("solve"),
+  };
+}
+
+// A running clock has endsAt; a paused one keeps the ms it had left instead.
+const clockLeft = (clock) =>
+  Math.max(0, clock.left ?? clock.endsAt - Date.now());
+
+function useShotClock(key, seconds, onExpire) {
+  const [clock, setClock] = useState(null);
+  const expireRef = useRef(onExpire);
+  expireRef.current = onExpire;
+
+  useEffect(() => {
+    setClock(
+      key && seconds > 0
+        ? { total: seconds * 1000, endsAt: Date.now() + seconds * 1000 }
+        : null
+    );
+  }, [key, seconds]);
+
+  // Pips for the last few seconds, a buzzer at zero.
+  useEffect(() => {
+    if (!clock || clock.left != null) return;
+    const ms = clock.endsAt - Date.now();
+    const timers = [];
+    for (let s = CLOCK_WARN_SECONDS; s >= 1; s--) {
+      if (ms - s * 1000 >= 0)
+        timers.push(
+          setTimeout(() => beep(s === 1 ? 1320 : 990), ms - s * 1000)
+        );
+    }
+    timers.push(
+      setTimeout(() => {
+        beep(160, 0.5, "sawtooth", 0.08);
+        setClock(null);
+        expireRef.current();
+      }, Math.max(0, ms))
+    );
+    return () => timers.forEach(clearTimeout);
+  }, [clock]);
+
+  const controls = useMemo(
+    () => ({
+      pause: () =>
+        setClock((c) =>
+          c && c.left == null ? { ...c, left: clockLeft(c) } : c
+        ),
+      resume: () =>
+        setClock((c) =>
+          c && c.left != null
+            ? { total: c.total, endsAt: Date.now() + c.left }
+            : c
+        ),
+      extend: (seconds = 10) =>
+        setClock((c) => {
+          if (!c) return c;
+          const left = clockLeft(c) + seconds * 1000;
+          const total = Math.max(c.total, left);
+          return c.left != null
+            ? { ...c, total, left }
+            : { total, endsAt: Date.now() + left };
+        }),
+    }),
+    []
+  );
+  return [clock, controls];
+}
+
+// Redraws itself while the clock runs, so the games only re-render when the
+// clock starts, pauses or changes.
+function CountdownRing({ clock, size = 56 }) {
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    if (!clock || clock.left != null) return;
+    const t = setInterval(() => setTick((n) => n + 1), 200);
+    return () => clearInterval(t);
+  }, [clock]);
+  if (!clock) return null;
+
+  const ms = clockLeft(clock);
+  const secs = Math.ceil(ms / 1000);
+  const r = 42;
+  const around = 2 * Math.PI * r;
+  const color =
+    secs <= CLOCK_WARN_SECONDS
+      ? "#e11d48"
+      : ms <= clock.total / 2
+      ? "#f59e0b"
+      : "#10b981";
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox="0 0 100 100"
+      role="timer"
+      aria-label={`${secs} seconds left`}
+    >
+      <circle
+        cx="50"
+        cy="50"
+        r={r}
+        fill="none"
+        stroke="#e5e7eb"
+        strokeWidth="10"
+      />
+      <circle
+        cx="50"
+        cy="50"
+        r={r}
+        fill="none"
+        stroke={color}
+        strokeWidth="10"
+        strokeLinecap="round"
+        strokeDasharray={around}
+        strokeDashoffset={around * (1 - ms / clock.total)}
+        transform="rotate(-90 50 50)"
+      />
+      <text
+        x="50"
+        y="50"
+        textAnchor="middle"
+        dominantBaseline="central"
+        fontSize="34"
+        fontWeight="800"
+        fill={clock.left != null ? "#9ca3af" : color}
+      >
+        {secs}
+      </text>
+    </svg>
+  );
+}
+
+function ShotClock({ clock, controls, label }) {
+  if (!clock) return null;
+  const paused = clock.left != null;
+  return (
+    <div className="inline-flex items-center gap-2">
+      <CountdownRing clock={clock} />
+      <div className="flex flex-col items-start gap-1 text-xs">
+        {label && <span className="text-gray-500">{label}</span>}
+        <div className="flex gap-1">
+          <button
+            className="px-2 py-0.5 rounded-md border bg-white"
+            onClick={paused ? controls.resume : controls.pause}
+          >
+            {paused ? "▶ Resume" : "⏸ Pause"}
+          </button>
+          <button
+            className="px-2 py-0.5 rounded-md border bg-white"
+            onClick={() => controls.extend(10)}
+          >
+            +10s
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TimerSettings({ timers, setTimers }) {
+  const [open, setOpen] = useState(false);
+  const fields = [
+    ["clue", "Answer a trivia clue"],
+    ["letter", "Call a letter after a spin"],
+    ["solve", "Wheel turn: spin, buy or solve"],
+  ];
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className={cx(
+          "px-3 py-1.5 rounded-lg border",
+          timers.on
+            ? "bg-rose-600 text-white border-rose-700"
+            : "bg-white text-gray-800"
+        )}
+        title="Shot clocks for answers, letter calls and wheel turns"
+      >
+        ⏱ Timers {timers.on ? "on" : "off"}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white border rounded-xl shadow-xl p-3 z-20 text-gray-800 space-y-2">
+          <label className="flex items-center gap-2 font-semibold">
+            <input
+              type="checkbox"
+              checked={timers.on}
+              onChange={(e) =>
+                setTimers((t) => ({ ...t, on: e.target.checked }))
+              }
+            />
+            Use shot clocks
+          </label>
+          {fields.map(([k, text]) => (
+            <label key={k} className="flex items-center justify-between gap-2">
+              <span>{text}</span>
+              <span className="whitespace-nowrap">
+                <CountInput
+                  min={TIMER_LIMITS.min}
+                  max={TIMER_LIMITS.max}
+                  value={timers[k]}
+                  onCommit={(n) => setTimers((t) => ({ ...t, [k]: n }))}
+                  className="border rounded-md px-2 py-1 w-16"
+                />{" "}
+                s
+              </span>
+            </label>
+          ))}
+          <p className="text-xs text-gray-500">
+            Running out counts as Incorrect in Trivia and passes the turn on the
+            Wheel. Each clock can be paused or extended as it runs.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Teacher's Trivia board editor (drag & drop) ----------
+// Clues carry stable ids so they can be dragged within a column or into
+// another category; values are always re-derived from the row they land in.
+
+function SortableClue({ clue, label, onEdit, onRemove }) {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id: clue.id });
+  return (
+    <div
+      ref={setNodeRef}
+      style={{
+        transform: dragTransform(transform),
+        transition,
+        opacity: isDragging ? 0.5 : 1,
+      }}
+      className={cx(
+        "rounded-lg border bg-white p-2 shadow-sm",
+        clue.question && clue.answer ? "border-blue-300" : "border-amber-400"
+      )}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <button
+          {...attributes}
+          {...listeners}
+          className="cursor-grab active:cursor-grabbing px-1 text-gray-500"
+          title="Drag to reorder or move to another category"
+        >
+          ⠿ <span className="font-extrabold text-blue-900">{label}</span>
+        </button>
+        <button
+          className="text-xs text-gray-400 hover:text-red-600"
+          onClick={onRemove}
+          title="Remove clue"
+        >
+          ✕
+        </button>
+      </div>
+      <textarea
+        value={clue.question}
+        onChange={(e) => onEdit({ question: e.target.value })}
+        placeholder="Question"
+        rows={3}
+        className="mt-1 w-full border rounded-md px-2 py-1 text-sm"
+      />
+      <input
+        value={clue.answer}
+        onChange={(e) => onEdit({ answer: e.target.value })}
+        placeholder="Answer"
+        className="mt-1 w-full border rounded-md px-2 py-1 text-sm font-semibold"
+      />
+      <input
+        value={(clue.alternates || []).join("; ")}
+        onChange={(e) =>
+          onEdit({
+            alternates: e.target.value ? e.target.value.split(/; ?/) : [],
+          })
+        }
+        placeholder="Also accept (separate with ;)"
+        title="Other answers the auto-judge should count as correct"
+        className="mt-1 w-full border rounded-md px-2 py-1 text-xs"
+      />
+    </div>
+  );
+}
+
+function EditorColumn({ cIdx, category, children }) {
+  const { setNodeRef, isOver } = useDroppable({ id: `cat:${cIdx}` });
+  return (
+    <SortableContext
+      items={category.clues.map((cl) => cl.id)}
+      strategy={verticalListSortingStrategy}
+    >
+      <div
+        ref={setNodeRef}
+        className={cx(
+          "rounded-lg p-2 space-y-2",
+          isOver ? "bg-blue-100" : "bg-blue-50"
+        )}
+        style={{ minHeight: 128 }}
+      >
+        {children}
+      </div>
+    </SortableContext>
+  );
+}
+
+function TriviaBoardEditor({ board, setBoard }) {
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 4 } }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+  const categories = board.categories;
+  const commit = (next) =>
+    setBoard((prev) => ({
+      ...prev,
+      categories: withRowValues(next, prev.values),
+    }));
+
+  function findColumn(id) {
+    if (String(id).startsWith("cat:")) return Number(String(id).slice(4));
+    return categories.findIndex((cat) => cat.clues.some((cl) => cl.id === id));
+  }
+  function editCategory(cIdx, patch) {
+    commit(
+      categories.map((cat, c) => (c === cIdx ? { ...cat, ...patch } : cat))
+    );
+  }
+  function editClue(cIdx, id, patch) {
+    commit(
+      categories.map((cat, c) =>
+        c !== cIdx
+          ? cat
+          : {
+              ...cat,
+              clues: cat.clues.map((cl) =>
+                cl.id === id ? { ...cl, ...patch } : cl
+              ),
+            }
+      )
+    );
+  }
+  const final = board.final || { category: "", question: "", answer: "" };
+  const editFinal = (patch) =>
+    setBoard((prev) => ({ ...prev, final: { ...final, ...patch } }));
+
+  function addClue(cIdx) {
+    const clue = { id: uid("clue"), question: "", answer: "" };
+    commit(
+      categories.map((cat, c) =>
+        c === cIdx ? { ...cat, clues: [...cat.clues, clue] } : cat
+      )
+    );
+  }
+  function removeClue(cIdx, id) {
+    commit(
+      categories.map((cat, c) =>
+        c === cIdx
+          ? { ...cat, clues: cat.clues.filter((cl) => cl.id !== id) }
+          : cat
+      )
+    );
+  }
+
+  // Crossing into another column happens during the drag so the target list
+  // opens a gap; reordering within a column is settled on drop.
+  function onDragOver({ active, over }) {
+    if (!over) return;
+    const from = findColumn(active.id);
+    const to = findColumn(over.id);
+    if (from < 0 || to < 0 || from === to) return;
+    const moving = categories[from].clues.find((cl) => cl.id === active.id);
+    const target = categories[to].clues;
+    const overIdx = target.findIndex((cl) => cl.id === over.id);
+    const at = overIdx < 0 ? target.length : overIdx;
+    commit(
+      categories.map((cat, c) => {
+        if (c === from)
+          return {
+            ...cat,
+            clues: cat.clues.filter((cl) => cl.id !== active.id),
+          };
+        if (c === to)
+          return {
+            ...cat,
+            clues: [...target.slice(0, at), moving, ...target.slice(at)],
+          };
+        return cat;
+      })
+    );
+  }
+  function onDragEnd({ active, over }) {
+    if (!over) return;
+    const c = findColumn(active.id);
+    if (c < 0 || c !== findColumn(over.id)) return;
+    const clues = categories[c].clues;
+    const from = clues.findIndex((cl) => cl.id === active.id);
+    const to = clues.findIndex((cl) => cl.id === over.id);
+    if (from < 0 || to < 0 || from === to) return;
+    commit(
+      categories.map((cat, i) =>
+        i === c ? { ...cat, clues: arrayMove(clues, from, to) } : cat
+      )
+    );
+  }
+
+  return (
+    <DndContext
+      sensors={sensors}
+      collisionDetection={closestCorners}
+      onDragOver={onDragOver}
+      onDragEnd={onDragEnd}
+    >
+      <div
+        className={`grid grid-cols-1 sm:grid-cols-${categories.length} gap-2`}
+      >
+        {categories.map((cat, c) => (
+          <div key={c} className="flex flex-col gap-2">
+            <input
+              value={cat.title}
+              onChange={(e) =>
+                editCategory(c, { title: e.target.value.slice(0, 40) })
+              }
+              className="bg-blue-900 text-yellow-300 rounded-lg py-2 px-2 text-center font-black uppercase tracking-wide border border-blue-700"
+              placeholder="Category"
+            />
+            <EditorColumn cIdx={c} category={cat}>
+              {cat.clues.map((clue, r) => (
+                <SortableClue
+                  key={clue.id}
+                  clue={clue}
+                  label={formatPoints(ladderValue(board.values, r), board.unit)}
+                  onEdit={(patch) => editClue(c, clue.id, patch)}
+                  onRemove={() => removeClue(c, clue.id)}
+                />
+              ))}
+            </EditorColumn>
+            <button
+              className="px-2 py-1 rounded-lg border text-sm bg-white hover:bg-gray-50"
+              onClick={() => addClue(c)}
+            >
+              + Clue
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="mt-4 rounded-lg border border-indigo-200 bg-indigo-50 p-3">
+        <div className="text-xs uppercase tracking-wider text-indigo-700 font-bold mb-2">
+          Final Trivia clue
+        </div>
+        <div className="grid sm:grid-cols-3 gap-2">
+          <input
+            value={final.category}
+            onChange={(e) =>
+              editFinal({ category: e.target.value.slice(0, 40) })
+            }
+            placeholder="Final category"
+            className="border rounded-md px-2 py-1 text-sm"
+          />
+          <input
+            value={final.question}
+            onChange={(e) => editFinal({ question: e.target.value })}
+            placeholder="Final question"
+            className="border rounded-md px-2 py-1 text-sm"
+          />
+          <input
+            value={final.answer}
+            onChange={(e) => editFinal({ answer: e.target.value })}
+            placeholder="Final answer"
+            className="border rounded-md px-2 py-1 text-sm font-semibold"
+          />
+        </div>
+      </div>
+    </DndContext>
+  );
+}
+
+// ---------- Final Trivia round ----------
+// Phases: category → secret wagers → clue → secret answers → reveal, one
+// player at a time from lowest score to highest, like the TV show.
+// Stays mounted once started (hidden while closed) so a peek at the board
+// doesn't lose the wagers.
+function FinalTriviaRound({ open, final, unit, players, award, onClose }) {
+  const [phase, setPhase] = useState("category");
+  // Wagers, answers and verdicts are keyed by player id, like the ledger, so
+  // roster edits during the round can't shift them onto someone else.
+  const [wagers, setWagers] = useState({});
+  const [answers, setAnswers] = useState({});
+  const [verdicts, setVerdicts] = useState({});
+  const [revealed, setRevealed] = useState([]);
+  const [draft, setDraft] = useState("");
+  const [wagerError, setWagerError] = useState("");
+  const [shown, setShown] = useState(false);
+  // Scores are frozen when the round starts so wagers and reveal order don't
+  // shift as results are applied. Players added later sit the round out.
+  const [startScores] = useState(() =>
+    Object.fromEntries(players.map((p) => [p.id, p.score || 0]))
+  );
+  const entrants = useMemo(
+    () => players.filter((p) => p.id in startScores),
+    [players, startScores]
+  );
+  const revealOrder = useMemo(
+    () => [...entrants].sort((a, b) => startScores[a.id] - startScores[b.id]),
+    [entrants, startScores]
+  );
+
+  const maxWager = (p) => Math.max(0, startScores[p.id]);
+  const wagering = entrants.find((p) => !(p.id in wagers));
+  const answering = entrants.find((p) => !(p.id in answers));
+  const revealing = revealOrder.find((p) => !revealed.includes(p.id));
+  // Each phase moves on once everyone still playing has had their turn.
+  const step =
+    phase === "wager" && !wagering
+      ? "clue"
+      : phase === "answer" && !answering
+      ? revealing
+        ? "reveal"
+        : "done"
+      : phase === "reveal" && !revealing
+      ? "done"
+      : phase;
+
+  function lockWager() {
+    const n = Math.round(Number(draft));
+    const max = maxWager(wagering);
+    if (draft.trim() === "" || !Number.isFinite(n) || n < 0 || n > max) {
+      setWagerError(`Wagers go from 0 to ${formatPoints(max, unit)}.`);
+      return;
+    }
+    setWagers({ ...wagers, [wagering.id]: n });
+    setDraft("");
+    setWagerError("");
+  }
+  function lockAnswer() {
+    setAnswers({ ...answers, [answering.id]: draft.trim() });
+    setDraft("");
+  }
+  function judge(correct) {
+    const wager = wagers[revealing.id] || 0;
+    award(
+      correct ? wager : -wager,
+      `Final Trivia wager ${correct ? "right" : "wrong"}`,
+      players.findIndex((p) => p.id === revealing.id),
+      "final"
+    );
+    setVerdicts({ ...verdicts, [revealing.id]: correct });
+  }
+  function nextReveal() {
+    setShown(false);
+    setRevealed([...revealed, revealing.id]);
+    if (revealing === revealOrder[revealOrder.length - 1])
+      confetti({ particleCount: 220, spread: 90, origin: { y: 0.6 } });
+  }
+
+  const finalScore = (p) =>
+    startScores[p.id] +
+    (verdicts[p.id] == null
+      ? 0
+      : verdicts[p.id]
+      ? wagers[p.id] || 0
+      : -(wagers[p.id] || 0));
+  const secretInput = (onSubmit, props) => (
+    <form
+      className="mt-3 flex gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit();
+      }}
+    >
+      <input
+        type="password"
+        autoFocus
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        className="border rounded-md px-3 py-2 flex-1 text-lg"
+        {...props}
+      />
+      <button className="px-4 py-2 rounded-md bg-indigo-600 text-white">
+        Lock in
+      </button>
+    </form>
+  );
+
+  if (!open) return null;
+  return (
+    <div
+      className="fixed inset-0 flex items-center justify-center p-4 z-30"
+      style={{ background: "rgba(0,0,0,.6)" }}
+    >
+      <div className="bg-blue-900 text-white rounded-2xl w-full max-w-3xl p-6 shadow-2xl border border-blue-700">
+        <div className="flex items-start justify-between">
+          <div className="text-xs uppercase tracking-widest text-yellow-300 font-bold">
+            Final Trivia{final.category ? ` · ${final.category}` : ""}
+          </div>
+          <button className="text-blue-200 hover:text-white" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {step === "category" && (
+          <div className="mt-4">
+            <div className="text-3xl font-black text-yellow-300 uppercase">
+              {final.category || "Final Trivia"}
+            </div>
+            <p className="mt-2 text-blue-100">
+              Each player secretly wagers up to their current score. Pass the
+              device around; entries are hidden.
+            </p>
+            <button
+              className="mt-4 px-4 py-2 rounded-xl bg-yellow-400 text-gray-900 font-bold"
+              onClick={() => setPhase("wager")}
+            >
+              Take wagers ▶
+            </button>
+          </div>
+        )}
+
+        {step === "wager" && (
+          <div className="mt-4">
+            <div className="text-xl font-bold">
+              {wagering.name}, enter your wager (0–{maxWager(wagering)})
+            </div>
+            <div className="text-sm text-blue-200">
+              Player {entrants.indexOf(wagering) + 1} of {entrants.length}
+            </div>
+            {secretInput(lockWager, {
+              inputMode: "numeric",
+              placeholder: "Secret wager",
+            })}
+            {wagerError && (
+              <div className="mt-2 text-sm text-red-300">{wagerError}</div>
+            )}
+          </div>
+        )}
+
+        {step === "clue" && (
+          <div className="mt-4">
+            <div className="text-2xl font-bold leading-snug">
+              {final.question}
+            </div>
+            <button
+              className="mt-4 px-4 py-2 rounded-xl bg-yellow-400 text-gray-900 font-bold"
+              onClick={() => setPhase("answer")}
+            >
+              Collect answers ▶
+            </button>
+          </div>
+        )}
+
+        {step === "answer" && (
+          <div className="mt-4">
+            <div className="text-lg text-blue-100">{final.question}</div>
+            <div className="mt-3 text-xl font-bold">
+              {answering.name}, type your answer
+            </div>
+            {secretInput(lockAnswer, { placeholder: "Secret answer" })}
+          </div>
+        )}
+
+        {step === "reveal" && (
+          <div className="mt-4">
+            <div className="text-sm text-blue-200">
+              Revealing {revealed.length + 1} of {revealOrder.length} · Official
+              answer: <b className="text-yellow-300">{final.answer}</b>
+            </div>
+            <div className="mt-3 text-2xl font-black">{revealing.name}</div>
+            {!shown ? (
+              <button
+                className="mt-3 px-4 py-2 rounded-xl bg-yellow-400 text-gray-900 font-bold"
+                onClick={() => setShown(true)}
+              >
+                Reveal answer
+              </button>
+            ) : (
+              <div className="mt-3">
+                <div className="text-xl">
+                  “{answers[revealing.id] || <i>no answer</i>}”
+                </div>
+                {verdicts[revealing.id] == null ? (
+                  <div className="mt-3 flex gap-2">
+                    <button
+                      className="btn-judge"
+                      style={{
+                        background: "#059669",
+                        color: "#fff",
+                        borderColor: "#047857",
+                      }}
+                      onClick={() => judge(true)}
+                    >
+                      ✓ Correct
+                    </button>
+                    <button
+                      className="btn-judge"
+                      style={{
+                        background: "#e11d48",
+                        color: "#fff",
+                        borderColor: "#be123c",
+                      }}
+                      onClick={() => judge(false)}
+                    >
+                      ✗ Incorrect
+                    </button>
+                  </div>
+                ) : (
+                  <div className="mt-3">
+                    <div className="text-lg">
+                      Wager: <b>{formatPoints(wagers[revealing.id], unit)}</b> →{" "}
+                      <b
+                        className={
+                          verdicts[revealing.id]
+                            ? "text-green-300"
+                            : "text-red-300"
+                        }
+                      >
+                        {verdicts[revealing.id] ? "+" : "−"}
+                        {formatPoints(wagers[revealing.id], unit)}
+                      </b>{" "}
+                      · Final score{" "}
+                      <b>{formatPoints(finalScore(revealing), unit)}</b>
+                    </div>
+                    <button
+                      className="mt-3 px-4 py-2 rounded-xl bg-yellow-400 text-gray-900 font-bold"
+                      onClick={nextReveal}
+                    >
+                      {revealed.length + 1 < revealOrder.length
+                        ? "Next player ▶"
+                        : "Final standings ▶"}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {step === "done" && (
+          <div className="mt-4">
+            <div className="text-sm text-blue-200">
+              Answer: <b className="text-yellow-300">{final.answer}</b>
+            </div>
+            <ol className="mt-3 space-y-1">
+              {[...entrants]
+                .sort((a, b) => finalScore(b) - finalScore(a))
+                .map((p, place) => (
+                  <li key={p.id} className="text-xl">
+                    {place === 0 ? "🏆 " : `${place + 1}. `}
+                    <b>{p.name}</b> · {formatPoints(finalScore(p), unit)}
+                  </li>
+                ))}
+            </ol>
+            <button
+              className="mt-4 px-4 py-2 rounded-xl bg-yellow-400 text-gray-900 font-bold"
+              onClick={onClose}
+            >
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ---------- Teacher's Trivia ----------
+// Hidden Daily Double tiles, placed away from the easiest row when possible.
+function pickDailyDoubles(board, rng) {
+  // Blank clues the AI left short are skipped; a wager on one can't be played.
+  const tiles = (board?.categories || []).flatMap((cat) =>
+    cat.clues.flatMap((cl, r) =>
+      cl.question && cl.answer ? [{ id: cl.id, r }] : []
+    )
+  );
+  const count = tiles.length > 30 ? 2 : tiles.length ? 1 : 0;
+  const pool =
+    tiles.filter((t) => t.r > 0).length >= count
+      ? tiles.filter((t) => t.r > 0)
+      : tiles;
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(pool[rng.int(pool.length)].id);
+  }
+  return picked;
+}
+
+// Buzz-in mode: buzzers stay shut while the clue is read. Buzzing early locks
+// that player out for BUZZ_LOCKOUT_MS; once open, the first valid buzz is
+// locked in and later ones queue up behind it in order.
+const BUZZ_LOCKOUT_MS = 1500;
+const BUZZ_KEYS = "1234567890";
+
+const buzzKeyFor = (player, i) =>
+  String(player?.buzzKey || BUZZ_KEYS[i] || "").toLowerCase();
+
+const newBuzzRound = () => ({
+  open: false,
+  openedAt: 0,
+  lockedIn: null,
+  queue: [],
+  early: [],
+  lockouts: {},
+  out: [],
+});
+
+function applyBuzz(round, playerId, now = Date.now()) {
+  if (!round || !playerId || round.out.includes(playerId)) return round;
+  if (!round.open)
+    return {
+      ...round,
+      early: round.early.includes(playerId)
+        ? round.early
+        : [...round.early, playerId],
+      lockouts: { ...round.lockouts, [playerId]: now + BUZZ_LOCKOUT_MS },
+    };
+  if ((round.lockouts[playerId] || 0) > now) return round;
+  if (round.queue.some((b) => b.playerId === playerId)) return round;
+  return {
+    ...round,
+    queue: [...round.queue, { playerId, ms: now - round.openedAt }],
+    lockedIn: round.lockedIn || playerId,
+  };
+}
+
+// After a wrong answer the next player already in the queue gets the clue;
+// with nobody waiting, buzzers stay open for everyone else.
+function passBuzz(round) {
+  const out = [...round.out, round.lockedIn];
+  const next = round.queue.find((b) => !out.includes(b.playerId));
+  return { ...round, out, lockedIn: next?.playerId || null };
+}
+
+// Answer checking: both sides are normalized (case, accents, punctuation,
+// articles, plurals, number words), then compared with an edit distance that
+// forgives a typo or two in longer answers. "Sugar (glucose)" and "heat or
+// warmth" accept each part on its own. The verdict is a suggestion with a
+// confidence; only auto-judge acts on it, and only when it's sure.
+const ANSWER_ARTICLES = new Set(["a", "an", "the"]);
+const NUMBER_WORDS = [
+  "zero",
+  "one",
+  "two",
+  "three",
+  "four",
+  "five",
+  "six",
+  "seven",
+  "eight",
+  "nine",
+  "ten",
+  "eleven",
+  "twelve",
+  "thirteen",
+  "fourteen",
+  "fifteen",
+  "sixteen",
+  "seventeen",
+  "eighteen",
+  "nineteen",
+];
+const TENS_WORDS = [
+  "",
+  "",
+  "twenty",
+  "thirty",
+  "forty",
+  "fifty",
+  "sixty",
+  "seventy",
+  "eighty",
+  "ninety",
+];
+const JUDGE_SURE = 0.85;
+const JUDGE_UNSURE = 0.6;
+const AUTO_JUDGE_KEY = "pp.autoJudge";
+
+function singularWord(w) {
+  if (w.length <= 3 || /\d/.test(w) || /(ss|us|is)$/.test(w)) return w;
+  if (/ies$/.test(w)) return w.slice(0, -3) + "y";
+  if (/(s|x|z|ch|sh)es$/.test(w)) return w.slice(0, -2);
+  return w.endsWith("s") ? w.slice(0, -1) : w;
+}
+
+export function normalizeAnswer(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/(\d),(\d{3})\b/g, "$1$2")
+    .replace(/\.(?!\d)|(^|[^\d])\./g, "$1 ")
+    .replace(/[^a-z0-9.\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w && !ANSWER_ARTICLES.has(w));
+  const out = [];
+  for (let i = 0; i < words.length; i++) {
+    const tens = TENS_WORDS.indexOf(words[i]);
+    const unit = NUMBER_WORDS.indexOf(words[i + 1]);
+    if (tens > 1 && unit > 0 && unit < 10) {
+      out.push(String(tens * 10 + unit));
+      i++;
+    } else if (tens > 1) out.push(String(tens * 10));
+    else if (NUMBER_WORDS.includes(words[i]))
+      out.push(String(NUMBER_WORDS.indexOf(words[i])));
+    else out.push(singularWord(words[i]));
+  }
+  return out.join(" ");
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++)
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// The official answer, its parenthesized or "or" parts, and any alternates.
+function acceptedAnswers(answer, alternates = []) {
+  return [answer, ...alternates]
+    .flatMap((a) => {
+      const text = String(a || "");
+      const inner = [...text.matchAll(/\(([^)]*)\)/g)].map((m) => m[1]);
+      const outer = text.replace(/\([^)]*\)/g, " ");
+      return [text, outer, ...inner, ...outer.split(/\s+or\s+|\//i)];
+    })
+    .map((a) => a.trim())
+    .filter((a, i, all) => a && all.indexOf(a) === i);
+}
+
+function answerConfidence(guess, answer) {
+  if (guess === answer) return 1;
+  if (guess.replace(/ /g, "") === answer.replace(/ /g, "")) return 0.98;
+  // Numbers have to match exactly: 1776 is not "a typo away" from 1767.
+  const digits = (s) => s.match(/\d+(\.\d+)?/g)?.join(" ") || "";
+  if (digits(answer) && digits(guess) !== digits(answer)) return 0.1;
+  const dist = editDistance(guess, answer);
+  let sure = 1 - dist / Math.max(guess.length, answer.length);
+  const typos = answer.length >= 9 ? 2 : answer.length >= 5 ? 1 : 0;
+  if (dist <= typos) sure = Math.max(sure, 0.9 - 0.02 * dist);
+  // Extra words around the answer ("it's photosynthesis") are fine; only
+  // part of a longer answer ("dioxide") is worth a look.
+  const gw = guess.split(" ");
+  const aw = answer.split(" ");
+  if (aw.every((w) => gw.includes(w))) sure = Math.max(sure, 0.85);
+  else if (gw.every((w) => aw.includes(w))) sure = Math.max(sure, 0.6);
+  return sure;
+}
+
+export function judgeAnswer(guess, answer, alternates) {
+  const g = normalizeAnswer(guess);
+  if (!g) return null;
+  let best = { confidence: 0, matched: answer };
+  for (const a of acceptedAnswers(answer, alternates)) {
+    const n = normalizeAnswer(a);
+    const confidence = n ? answerConfidence(g, n) : 0;
+    if (confidence > best.confidence) best = { confidence, matched: a };
+  }
+  const verdict =
+    best.confidence >= JUDGE_SURE
+      ? "correct"
+      : best.confidence >= JUDGE_UNSURE
+      ? "unsure"
+      : "incorrect";
+  return {
+    verdict,
+    confidence: Math.round(best.confidence * 100) / 100,
+    matched: best.matched,
+  };
+}
+
+// Rules engine. Trivia actions: board, open {cIdx, rIdx}, wager {amount},
+// openBuzzers, buzz {playerId}, correct, incorrect {timeout}, pass,
+// close {clueId}, turn {player}, buzzMode. ctx: { players, board, now }. The open clue keeps
+// a copy of its clue, so editing the board can't change a clue mid-answer.
+export function initTriviaState(saved, seed) {
+  return {
+    active: saved?.active || 0,
+    used: saved?.used || [],
+    dailyDoubles: saved?.dailyDoubles || [],
+    buzzMode: !!saved?.buzzMode,
+    clue: null, // { cIdx, rIdx, clue, dailyDouble, wager, judged }
+    attempted: [],
+    buzz: null, // buzz round for the open clue
+    result: "",
+    rngState: saved?.rngState ?? hashSeed(`${seed}/trivia`),
+    effects: [],
+  };
+}
+
+const clueValue = (open) => open.clue.value || (open.rIdx + 1) * 100;
+export const triviaBoardDone = (state, board) =>
+  !!board &&
+  board.categories.every((cat) =>
+    cat.clues.every((cl) => state.used.includes(cl.id))
+  );
+export function triviaMaxWager(state, players, board) {
+  const topValue = Math.max(
+    0,
+    ...(board?.categories || []).flatMap((cat) =>
+      cat.clues.map((cl) => cl.value || 0)
+    )
+  );
+  return Math.max(players[state.active]?.score || 0, topValue);
+}
+
+export function triviaReducer(state, action) {
+  if (action.type === "effectsDone") return effectsDone(state, action.count);
+  const { players = [], board, now = 0 } = action.ctx || {};
+  const open = state.clue;
+  const score = (i, delta, reason) => ({
+    type: "score",
+    playerId: players[i]?.id,
+    delta,
+    reason,
+  });
+  const label = () =>
+    `${board?.categories[open.cIdx]?.title || "Trivia"} ${formatPoints(
+      clueValue(open),
+      board?.unit
+    )}`;
+  const points = (value) => formatPoints(value, board?.unit);
+  // In buzz mode the locked-in player answers, whoever's turn it was.
+  const answering = () =>
+    state.buzz
+      ? players.findIndex((p) => p.id === state.buzz.lockedIn)
+      : state.active;
+  // A newly locked-in buzz takes the turn.
+  const followBuzz = (s) => {
+    const i = players.findIndex((p) => p.id === s.buzz?.lockedIn);
+    return i >= 0 && s.buzz.lockedIn !== state.buzz?.lockedIn
+      ? { ...s, active: i }
+      : s;
+  };
+  const markUsed = (s) =>
+    s.used.includes(open.clue.id)
+      ? s
+      : { ...s, used: [...s.used, open.clue.id] };
+  // The result stays up for a moment before the clue closes.
+  const closeLater = (ms) => ({
+    type: "later",
+    ms,
+    action: { type: "close", clueId: open.clue.id },
+  });
+  const judged = (s) => ({ ...s, clue: { ...s.clue, judged: true } });
+
+  switch (action.type) {
+    case "board": {
+      // Used tiles are tracked by clue id, so edits keep progress; ids that
+      // are no longer on the board (a fresh build, a deleted clue) drop out.
+      // Daily Doubles follow their clue through edits; a fresh board (or one
+      // whose Daily Double was deleted) gets new hidden tiles.
+      const ids = new Set(
+        (board?.categories || []).flatMap((cat) => cat.clues.map((cl) => cl.id))
+      );
+      const used = state.used.filter((id) => ids.has(id));
+      const kept = state.dailyDoubles.filter((id) => ids.has(id));
+      if (kept.length) return { ...state, used, dailyDoubles: kept };
+      const rng = createRng(null, state.rngState);
+      return {
+        ...state,
+        used,
+        dailyDoubles: [...pickDailyDoubles(board, rng)],
+        rngState: rng.state,
+      };
+    }
+    case "open": {
+      const clue = board?.categories[action.cIdx]?.clues[action.rIdx];
+      // A judged clue is only waiting to close, so a new one can replace it.
+      if (!clue || (open && !open.judged) || state.used.includes(clue.id))
+        return state;
+      const dailyDouble = state.dailyDoubles.includes(clue.id);
+      return {
+        ...state,
+        clue: {
+          cIdx: action.cIdx,
+          rIdx: action.rIdx,
+          clue,
+          dailyDouble,
+          wager: null,
+          judged: false,
+        },
+        // A Daily Double belongs to whoever found it, so no buzzers there.
+        buzz: state.buzzMode && !dailyDouble ? newBuzzRound() : null,
+        result: "",
+        attempted: [],
+      };
+    }
+    case "wager": {
+      if (!open?.dailyDouble || open.wager != null) return state;
+      const n = Math.round(Number(action.amount));
+      if (!Number.isFinite(n) || n < 0) return state;
+      if (n > triviaMaxWager(state, players, board)) return state;
+      return { ...state, clue: { ...open, wager: n } };
+    }
+    case "openBuzzers":
+      if (!state.buzz || state.buzz.open) return state;
+      return { ...state, buzz: { ...state.buzz, open: true, openedAt: now } };
+    case "buzz":
+      if (!state.buzz || !players.some((p) => p.id === action.playerId))
+        return state;
+      return followBuzz({
+        ...state,
+        buzz: applyBuzz(state.buzz, action.playerId, now),
+      });
+    case "correct": {
+      if (!open || open.judged) return state;
+      if (open.dailyDouble && open.wager == null) return state;
+      const i = answering();
+      if (i < 0) return state;
+      const val = open.dailyDouble ? open.wager : clueValue(open);
+      return withEffects(
+        judged(markUsed({ ...state, result: `✅ Correct! +${points(val)}` })),
+        score(
+          i,
+          val,
+          `${label()} ${open.dailyDouble ? "Daily Double " : ""}correct`
+        ),
+        closeLater(800)
+      );
+    }
+    case "incorrect": {
+      // A shot clock running out counts as a wrong answer.
+      if (!open || open.judged) return state;
+      const miss = action.timeout ? "⏰ Time’s up." : "❌ Incorrect.";
+      if (open.dailyDouble) {
+        // Only the player who found the Daily Double answers it.
+        if (open.wager == null) return state;
+        return withEffects(
+          judged(
+            markUsed({ ...state, result: `${miss} -${points(open.wager)}` })
+          ),
+          score(state.active, -open.wager, `${label()} Daily Double missed`),
+          closeLater(1200)
+        );
+      }
+      const i = answering();
+      if (i < 0) return state;
+      const val = clueValue(open);
+      const s = withEffects(
+        {
+          ...state,
+          result: `${miss} -${points(val)}`,
+          attempted: [...state.attempted, i],
+        },
+        score(
+          i,
+          -val,
+          `${label()} ${action.timeout ? "timed out" : "incorrect"}`
+        )
+      );
+      // Buzzers pass to the next in the queue; turns rotate to the next
+      // player who hasn't tried this clue.
+      if (s.buzz) return followBuzz({ ...s, buzz: passBuzz(s.buzz) });
+      if (players.length <= 1) return s;
+      for (let k = 1; k <= players.length; k++) {
+        const cand = (s.active + k) % players.length;
+        if (!s.attempted.includes(cand)) return { ...s, active: cand };
+      }
+      return s;
+    }
+    case "pass":
+      if (!open) return state;
+      return triviaReducer(markUsed(state), { type: "close" });
+    case "close":
+      if (!open || (action.clueId && action.clueId !== open.clue.id))
+        return state;
+      return { ...state, clue: null, buzz: null, result: "", attempted: [] };
+    case "turn":
+      return { ...state, active: action.player };
+    case "buzzMode":
+      return { ...state, buzzMode: !state.buzzMode };
+    default:
+      throw new Error(`Unknown trivia action: ${action.type}`);
+  }
+}
+
+function TeachersTrivia({
+  board,
+  setBoard,
+  players,
+  setPlayers,
+  onScore,
+  seed,
+  timers,
+  saved,
+  onSave,
+  onDisplay,
+}) {
+  const [editing, setEditing] = useState(false);
+  const [wagerDraft, setWagerDraft] = useState("");
+  const [finalState, setFinalState] = useState(null); // null | "open" | "closed"
+  const [guess, setGuess] = useState("");
+  const [checked, setChecked] = useState(null); // judgeAnswer() of the guess
+  const [autoJudge, setAutoJudge] = useState(
+    () => readStored(AUTO_JUDGE_KEY) === true
+  );
+  useEffect(() => {
+    writeStored(AUTO_JUDGE_KEY, autoJudge);
+  }, [autoJudge]);
+
+  // The rules live in triviaReducer; this component renders its state.
+  const [trivia, send] = useGameEngine(
+    triviaReducer,
+    () => initTriviaState(saved, seed),
+    { players, board },
+    (fx) => {
+      if (fx.type === "score")
+        onScore({
+          playerId: fx.playerId,
+          delta: fx.delta,
+          reason: fx.reason,
+          game: "trivia",
+        });
+    }
+  );
+  const { active, buzzMode, buzz, result } = trivia;
+  const modal = trivia.clue;
+  const used = useMemo(() => new Set(trivia.used), [trivia.used]);
+
+  // The shot clock runs for whoever is answering: the buzzed-in player, or
+  // whoever's turn it is if they haven't tried this clue yet. A Daily Double
+  // starts its clock once the wager is locked.
+  const answerer = !modal
+    ? null
+    : buzz
+    ? buzz.lockedIn
+    : trivia.attempted.includes(active)
+    ? null
+    : players[active]?.id;
+  const clockOn =
+    timers?.on &&
+    answerer &&
+    !modal.judged &&
+    !(modal.dailyDouble && modal.wager == null);
+  const [clock, clockControls] = useShotClock(
+    clockOn ? `${modal.clue.id}-${answerer}` : null,
+    timers?.clue,
+    () => judge("incorrect", { timeout: true })
+  );
+
+  useEffect(() => {
+    send({ type: "board" });
+  }, [board, send]);
+
+  useEffect(() => {
+    onSave?.({
+      active,
+      used: trivia.used,
+      dailyDoubles: trivia.dailyDoubles,
+      buzzMode,
+      rngState: trivia.rngState,
+    });
+  }, [active, trivia.used, trivia.dailyDoubles, buzzMode]); // eslint-disable-line
+
+  // Buzzers: each player's key in this window, plus buzzer tabs talking over
+  // the display channel.
+  const buzzLive = !!(modal && buzz);
+  useEffect(() => {
+    if (!buzzLive) return;
+    const hit = (playerId) => send({ type: "buzz", playerId });
+    const onKey = (e) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName)) return;
+      const key = e.key.toLowerCase();
+      const i = players.findIndex((p, n) => buzzKeyFor(p, n) === key);
+      if (i >= 0) hit(players[i].id);
+    };
+    const ch = openDisplayChannel();
+    if (ch)
+      ch.onmessage = (e) => {
+        if (e.data?.type === "buzz") hit(e.data.playerId);
+      };
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      ch?.close();
+    };
+  }, [buzzLive, players, send]);
+
+  // Audience snapshot: never includes answers.
+  useEffect(() => {
+    if (!board) return;
+    const cat = modal && board.categories[modal.cIdx];
+    onDisplay?.({
+      unit: board.unit,
+      categories: board.categories.map((c) => ({
+        title: c.title,
+        clues: c.clues.map((cl) => ({
+          id: cl.id,
+          value: cl.value,
+          used: used.has(cl.id),
+        })),
+      })),
+      active,
+      clue: modal && {
+        category: cat?.title || "",
+        value: modal.clue.value,
+        dailyDouble: modal.dailyDouble,
+        wager: modal.wager,
+        // A Daily Double stays hidden until the wager is locked.
+        question:
+          modal.dailyDouble && modal.wager == null ? "" : modal.clue.question,
+        result,
+      },
+      clock,
+      buzz: modal &&
+        buzz && {
+          open: buzz.open,
+          lockedIn: buzz.lockedIn,
+          out: buzz.out,
+          lockouts: buzz.lockouts,
+        },
+      final: finalState === "open" ? board.final?.category || "Final" : null,
+    });
+  }, [board, used, active, modal, result, finalState, buzz, clock]); // eslint-disable-line
+  useEffect(() => () => onDisplay?.(null), []); // eslint-disable-line
+
+  function openClue(cIdx, rIdx) {
+    setWagerDraft("");
+    setGuess("");
+    setChecked(null);
+    send({ type: "open", cIdx, rIdx });
+  }
+  function judge(verdict, extra) {
+    setGuess("");
+    setChecked(null);
+    send({ type: verdict, ...extra });
+  }
+  // Auto-judge only acts on confident verdicts; "unsure" waits for the teacher.
+  function checkGuess(e) {
+    e.preventDefault();
+    const v = judgeAnswer(guess, modal.clue.answer, modal.clue.alternates);
+    setChecked(v);
+    if (v && autoJudge && v.verdict !== "unsure") judge(v.verdict);
+  }
+  // Final Trivia scores directly; its wagers are its own.
+  function award(delta, reason, playerIdx = active, game = "trivia") {
+    onScore({ playerId: players[playerIdx]?.id, delta, reason, game });
+  }
+  function lockWager(e) {
+    e.preventDefault();
+    send({ type: "wager", amount: wagerDraft });
+  }
+
+  const nameOf = (id) => players.find((p) => p.id === id)?.name || "Player";
+
+  if (!board) return null;
+  const allUsed = triviaBoardDone(trivia, board);
+  // The CDN Tailwind build ships every sm:grid-cols-N, so this can be dynamic.
+  const gridCols = `grid grid-cols-1 sm:grid-cols-${board.categories.length} gap-2`;
+  const rows = Math.max(0, ...board.categories.map((cat) => cat.clues.length));
+  const maxWager = triviaMaxWager(trivia, players, board);
+  const final =
+    board.final?.question && board.final?.answer ? board.final : null;
+  const blanks = board.categories.reduce(
+    (n, cat) => n + cat.clues.filter((cl) => !cl.question || !cl.answer).length,
+    0
+  );
+
+  return (
+    <section className="border rounded-2xl p-4 sm:p-6 bg-white shadow-sm">
+      <div className="flex flex-col xl:flex-row xl:items-start gap-4 xl:gap-6">
+        <div className="flex-1">
+          <h3 className="font-semibold text-xl">
+            Teacher’s Trivia ({board.categories.length}×{rows})
+          </h3>
+          <p className="text-sm text-gray-600">
+            Use <b>Correct</b> / <b>Incorrect</b>
+            {autoJudge ? ", or type the answer and let 🤖 judge it" : ""}.{" "}
+            {buzzMode
+              ? "Open the buzzers after reading each clue; a wrong answer passes to the next buzz."
+              : "Wrong answers auto-rotate to the next player."}
+          </p>
+          {blanks > 0 && (
+            <p className="mt-1 text-sm text-amber-700">
+              {blanks} clue{blanks === 1 ? " is" : "s are"} blank — the AI came
+              back short. Fill {blanks === 1 ? "it" : "them"} in with{" "}
+              <b>✎ Edit board</b>.
+            </p>
+          )}
         </div>
-        <div className="mt-2 overflow-x-auto no-scrollbar">
-          <div className="flex gap-2 pr-2">
-            {players.map((p, i) => (
-              <button
-                key={i}
-                onClick={() => setActive(i)}
-                className={cx(
-                  "whitespace-nowrap rounded-full px-3 py-1.5 border text-sm font-semibold transition",
-                  i === active
-                    ? "bg-yellow-400 border-yellow-500 text-gray-900 shadow"
-                    : "bg-white border-gray-300 text-gray-800 hover:bg-gray-50"
-                )}
-                title="Set active player"
-              >
-                {(i === active ? "👑 " : "") + (p.name || `Player ${i + 1}`)} ·
-                ${p.score || 0}
-              </button>
-            ))}
-          </div>
+        <div className="flex flex-wrap gap-2 self-start">
+          <button
+            className={cx(
+              "px-3 py-1.5 rounded-lg border",
+              buzzMode ? "bg-amber-500 text-white border-amber-600" : "bg-white"
+            )}
+            onClick={() => send({ type: "buzzMode" })}
+            title="Players buzz in with their key (or a buzzer tab) instead of taking turns"
+          >
+            🔔 Buzzers {buzzMode ? "on" : "off"}
+          </button>
+          <button
+            className={cx(
+              "px-3 py-1.5 rounded-lg border",
+              autoJudge
+                ? "bg-emerald-600 text-white border-emerald-700"
+                : "bg-white"
+            )}
+            onClick={() => setAutoJudge((v) => !v)}
+            title="Judge typed answers automatically when the match is clear; unsure ones are left to you"
+          >
+            🤖 Auto-judge {autoJudge ? "on" : "off"}
+          </button>
+          {buzzMode && (
+            <button
+              className="px-3 py-1.5 rounded-lg border bg-white"
+              onClick={openBuzzerTab}
+              title="A big buzz button for a tablet or second tab in this browser"
+            >
+              📱 Buzzer tab
+            </button>
+          )}
+          <button
+            className={cx(
+              "px-3 py-1.5 rounded-lg border",
+              editing ? "bg-black text-white" : "bg-white"
+            )}
+            onClick={() => setEditing((v) => !v)}
+            title="Rename categories, rewrite clues, drag clues to reorder"
+          >
+            {editing ? "✓ Done editing" : "✎ Edit board"}
+          </button>
         </div>
       </div>
 
+      {/* Players */}
+      <div className="mt-4">
+        <PlayerRoster
+          players={players}
+          setPlayers={setPlayers}
+          active={active}
+          setActive={(player) => send({ type: "turn", player })}
+          activeIcon="👑"
+          activeClass="bg-yellow-400 border-yellow-500 text-gray-900 shadow"
+          unit={board.unit}
+        />
+      </div>
+
       {/* Board */}
-      <div className="mt-6">
-        <div className="grid grid-cols-1 sm:grid-cols-5 gap-2">
-          {board.categories.map((cat, idx) => (
-            <div
-              key={idx}
-              className="bg-blue-900 text-yellow-300 rounded-lg py-3 px-2 text-center font-black uppercase tracking-wide shadow border border-blue-700"
-            >
-              {cat.title}
+      {editing ? (
+        <div className="mt-6">
+          <TriviaBoardEditor board={board} setBoard={setBoard} />
+        </div>
+      ) : (
+        <div className="mt-6">
+          <div className={gridCols}>
+            {board.categories.map((cat, idx) => (
+              <div
+                key={idx}
+                className="bg-blue-900 text-yellow-300 rounded-lg py-3 px-2 text-center font-black uppercase tracking-wide shadow border border-blue-700"
+              >
+                {cat.title}
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-2">
+            {Array.from({ length: rows }, (_, r) => (
+              <div key={r} className={cx("mt-2", gridCols)}>
+                {board.categories.map((cat, c) => {
+                  const clue = cat.clues[r];
+                  if (!clue) return <div key={`${c}-${r}`} />;
+                  const id = clue.id;
+                  const usedTile = used.has(id);
+                  const value = clue.value || (r + 1) * 100;
+                  return (
+                    <button
+                      key={id}
+                      disabled={usedTile}
+                      onClick={() => openClue(c, r)}
+                      className={cx(
+                        "rounded-lg flex items-center justify-center font-extrabold border transition select-none h-16 sm:h-20 md:h-24",
+                        usedTile
+                          ? "bg-blue-900/30 text-blue-900/40 border-blue-200 cursor-not-allowed"
+                          : "bg-blue-800 text-yellow-300 border-blue-600 hover:scale-105 active:scale-95"
+                      )}
+                    >
+                      {usedTile ? "✓" : formatPoints(value, board.unit)}
+                    </button>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+          {allUsed && (
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <span className="text-green-700 font-semibold">
+                🎉 Board complete!
+              </span>
+              {final && (
+                <button
+                  className="px-4 py-2 rounded-xl bg-blue-900 text-yellow-300 font-bold"
+                  onClick={() => setFinalState("open")}
+                >
+                  {finalState
+                    ? "Back to Final Trivia ▶"
+                    : "Start Final Trivia ▶"}
+                </button>
+              )}
             </div>
-          ))}
+          )}
         </div>
+      )}
 
-        <div className="mt-2">
-          {[0, 1, 2, 3, 4].map((r) => (
-            <div key={r} className="mt-2 grid grid-cols-1 sm:grid-cols-5 gap-2">
-              {[0, 1, 2, 3, 4].map((c) => {
-                const id = `${c}-${r}`;
-                const usedTile = used.has(id);
-                const value =
-                  board.categories[c].clues[r].value || (r + 1) * 100;
-                return (
+      {/* Modal */}
+      {modal && (
+        <div
+          className="fixed inset-0 flex items-center justify-center p-4"
+          style={{ background: "rgba(0,0,0,.45)" }}
+        >
+          <div className="bg-white rounded-2xl w-full max-w-3xl p-6 shadow-2xl border">
+            <div className="flex items-start justify-between">
+              <div>
+                <div className="text-xs uppercase tracking-wider text-blue-600 font-bold">
+                  {board.categories[modal.cIdx].title}
+                </div>
+                <div className="text-2xl font-extrabold text-blue-900">
+                  {modal.dailyDouble
+                    ? `⭐ DAILY DOUBLE${
+                        modal.wager != null
+                          ? ` · wager ${formatPoints(modal.wager, board.unit)}`
+                          : ""
+                      }`
+                    : formatPoints(modal.clue.value, board.unit)}
+                </div>
+                <div className="text-sm text-gray-600 mt-1">
+                  Current: <b>{players[active]?.name || "Player"}</b>
+                </div>
+              </div>
+              <div className="flex items-start gap-4">
+                <ShotClock
+                  clock={clock}
+                  controls={clockControls}
+                  label={`${nameOf(answerer)} to answer`}
+                />
+                <button
+                  className="text-gray-500 hover:text-black"
+                  onClick={() => send({ type: "close" })}
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+
+            {modal.dailyDouble && modal.wager == null ? (
+              <form className="mt-4" onSubmit={lockWager}>
+                <div className="text-lg">
+                  <b>{players[active]?.name || "Player"}</b>, how much will you
+                  wager? (0–{maxWager})
+                </div>
+                <div className="mt-2 flex gap-2">
+                  <input
+                    type="number"
+                    min={0}
+                    max={maxWager}
+                    autoFocus
+                    value={wagerDraft}
+                    onChange={(e) => setWagerDraft(e.target.value)}
+                    className="border rounded-md px-3 py-2 w-40 text-lg"
+                  />
+                  <button className="px-4 py-2 rounded-md bg-indigo-600 text-white">
+                    Lock wager
+                  </button>
                   <button
-                    key={id}
-                    disabled={usedTile}
-                    onClick={() => openClue(c, r)}
-                    className={cx(
-                      "rounded-lg flex items-center justify-center font-extrabold border transition select-none h-16 sm:h-20 md:h-24",
-                      usedTile
-                        ? "bg-blue-900/30 text-blue-900/40 border-blue-200 cursor-not-allowed"
-                        : "bg-blue-800 text-yellow-300 border-blue-600 hover:scale-105 active:scale-95"
+                    type="button"
+                    className="px-3 py-2 rounded-md border"
+                    onClick={() => setWagerDraft(String(maxWager))}
+                  >
+                    True Daily Double!
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <>
+                <div className="mt-3">
+                  <div className="text-sm uppercase tracking-wide text-gray-500">
+                    Question
+                  </div>
+                  <div className="text-lg">{modal.clue.question}</div>
+                </div>
+
+                {buzz && (
+                  <div className="mt-3 rounded-xl border p-3 bg-amber-50">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      {!buzz.open ? (
+                        <button
+                          className="px-4 py-2 rounded-lg bg-amber-500 text-white font-bold"
+                          onClick={() => send({ type: "openBuzzers" })}
+                          title="Open once you've finished reading the clue"
+                        >
+                          🔔 Open buzzers
+                        </button>
+                      ) : (
+                        <div className="font-semibold">
+                          {buzz.lockedIn
+                            ? `🔔 ${nameOf(buzz.lockedIn)} buzzed in`
+                            : "🔔 Buzzers open…"}
+                        </div>
+                      )}
+                      <div className="text-xs text-gray-600">
+                        Keys:{" "}
+                        {players
+                          .map(
+                            (p, i) =>
+                              `${p.name} [${buzzKeyFor(p, i).toUpperCase()}]`
+                          )
+                          .join(" · ")}
+                      </div>
+                    </div>
+                    {buzz.queue.length > 0 && (
+                      <ol className="mt-2 text-sm space-y-0.5">
+                        {buzz.queue.map((b, n) => (
+                          <li
+                            key={b.playerId}
+                            className={cx(
+                              buzz.out.includes(b.playerId) &&
+                                "line-through text-gray-400",
+                              b.playerId === buzz.lockedIn && "font-bold"
+                            )}
+                          >
+                            {n + 1}. {nameOf(b.playerId)} ·{" "}
+                            {(b.ms / 1000).toFixed(2)}s
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                    {buzz.early.length > 0 && (
+                      <div className="mt-1 text-xs text-red-700">
+                        ⛔ Buzzed early (locked out {BUZZ_LOCKOUT_MS / 1000}
+                        s): {buzz.early.map(nameOf).join(", ")}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                <div className="mt-3">
+                  <div className="text-sm uppercase tracking-wide text-gray-500">
+                    Player’s answer (optional)
+                  </div>
+                  <form className="flex gap-2" onSubmit={checkGuess}>
+                    <input
+                      className="border rounded-md px-3 py-2 flex-1"
+                      placeholder="Type the answer and press Enter to check it…"
+                      value={guess}
+                      onChange={(e) => {
+                        setGuess(e.target.value);
+                        setChecked(null);
+                      }}
+                    />
+                    <button
+                      className="px-3 py-2 rounded-md border bg-white disabled:opacity-60"
+                      disabled={!guess.trim() || modal.judged}
+                    >
+                      Check
+                    </button>
+                  </form>
+                  {checked && !modal.judged && (
+                    <div
+                      className={cx(
+                        "mt-2 flex flex-wrap items-center gap-2 rounded-lg border px-3 py-2 text-sm",
+                        checked.verdict === "correct"
+                          ? "bg-green-50 border-green-300"
+                          : checked.verdict === "incorrect"
+                          ? "bg-red-50 border-red-300"
+                          : "bg-amber-50 border-amber-300"
+                      )}
+                    >
+                      <span>
+                        🤖{" "}
+                        <b>
+                          {checked.verdict === "correct"
+                            ? "Looks correct"
+                            : checked.verdict === "incorrect"
+                            ? "Looks incorrect"
+                            : "Close — your call"}
+                        </b>{" "}
+                        · {Math.round(checked.confidence * 100)}% sure
+                        {checked.verdict !== "incorrect" &&
+                          ` · matched “${checked.matched}”`}
+                      </span>
+                      {checked.verdict !== "unsure" && (
+                        <button
+                          className="ml-auto px-2 py-1 rounded-md border bg-white disabled:opacity-60"
+                          onClick={() => judge(checked.verdict)}
+                          disabled={!!buzz && !buzz.lockedIn}
+                        >
+                          Accept
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  <div className="mt-2 flex gap-2">
+                    <button
+                      className="btn-judge disabled:opacity-60"
+                      style={{
+                        background: "#059669",
+                        color: "#fff",
+                        borderColor: "#047857",
+                      }}
+                      onClick={() => judge("correct")}
+                      disabled={modal.judged || (buzz && !buzz.lockedIn)}
+                    >
+                      ✓ Correct
+                    </button>
+                    <button
+                      className="btn-judge disabled:opacity-60"
+                      style={{
+                        background: "#e11d48",
+                        color: "#fff",
+                        borderColor: "#be123c",
+                      }}
+                      onClick={() => judge("incorrect")}
+                      disabled={modal.judged || (buzz && !buzz.lockedIn)}
+                    >
+                      ✗ Incorrect
+                    </button>
+                  </div>
+
+                  <div className="mt-2 text-sm">
+                    {result &&
+                      (result.startsWith("✅") ? (
+                        <span className="text-green-700 font-semibold">
+                          {result}
+                        </span>
+                      ) : (
+                        <span className="text-red-700 font-semibold">
+                          {result}
+                        </span>
+                      ))}
+                  </div>
+                </div>
+
+                <div className="mt-3">
+                  <div className="text-sm uppercase tracking-wide text-gray-500">
+                    Official Answer
+                  </div>
+                  <details className="mt-1">
+                    <summary className="cursor-pointer select-none inline-block px-3 py-1.5 rounded-lg border bg-indigo-600 text-white">
+                      Show Answer
+                    </summary>
+                    <div className="mt-2 text-lg font-semibold text-indigo-800">
+                      {modal.clue.answer}
+                    </div>
+                    {modal.clue.alternates?.length > 0 && (
+                      <div className="text-sm text-gray-600">
+                        Also accepted: {modal.clue.alternates.join(", ")}
+                      </div>
                     )}
+                  </details>
+                </div>
+
+                <div className="mt-4 flex items-center justify-between">
+                  <button
+                    className="px-3 py-2 rounded-lg border"
+                    onClick={() => send({ type: "pass" })}
                   >
-                    {usedTile ? "✓" : `$${value}`}
+                    Pass / Mark Used
                   </button>
-                );
-              })}
-            </div>
-          ))}
-        </div>
-        {allUsed && (
-          <div className="mt-4 text-green-700 font-semibold">
-            🎉 Board complete!
+                  <div
+                    className={cx("text-sm text-gray-600", buzz && "hidden")}
+                  >
+                    Next turn:{" "}
+                    <b>
+                      {
+                        players[(active + 1) % Math.max(players.length, 1)]
+                          ?.name
+                      }
+                    </b>
+                  </div>
+                </div>
+              </>
+            )}
           </div>
-        )}
-      </div>
+        </div>
+      )}
+
+      {final && finalState && (
+        <FinalTriviaRound
+          open={finalState === "open"}
+          final={final}
+          unit={board.unit}
+          players={players}
+          award={award}
+          onClose={() => setFinalState("closed")}
+        />
+      )}
+    </section>
+  );
+}
+
+// ---------- Wonder Wheel (SVG, Wheel-of-Fortune style) ----------
+const WW_WEDGES = [
+  { label: "$300", type: "points", value: 300, color: "#2563eb" },
+  { label: "$450", type: "points", value: 450, color: "#10b981" },
+  { label: "$500", type: "points", value: 500, color: "#f59e0b" },
+  { label: "$650", type: "points", value: 650, color: "#9333ea" },
+  { label: "$700", type: "points", value: 700, color: "#ef4444" },
+  { label: "BANKRUPT", type: "bankrupt", value: 0, color: "#111827" },
+  { label: "$800", type: "points", value: 800, color: "#0ea5e9" },
+  { label: "$900", type: "points", value: 900, color: "#db2777" },
+  { label: "LOSE A TURN", type: "lose", value: 0, color: "#6b7280" },
+  { label: "$1000", type: "points", value: 1000, color: "#22c55e" },
+  { label: "DOUBLE", type: "double", value: 0, color: "#8b5cf6" },
+  { label: "BONUS +$200", type: "bonus", value: 200, color: "#14b8a6" },
+];
+
+// Wedges are editable. Each has an arc size (`weight`) and optional `odds`;
+// blank odds mean "as likely as it looks", so only odds that differ from the
+// arc make the wheel lopsided on purpose.
+const WEDGE_TYPES = [
+  { id: "points", label: "Points per letter" },
+  { id: "double", label: "Double the round bank" },
+  { id: "bonus", label: "Bonus (100 per letter + value)" },
+  { id: "bankrupt", label: "Bankrupt" },
+  { id: "lose", label: "Lose a turn" },
+];
+const WHEEL_WEDGES_KEY = "pp.wheelWedges";
+const WHEEL_PRESETS_KEY = "pp.wheelPresets";
+const BUILTIN_WHEEL_PRESETS = [
+  { name: "Classic", wedges: WW_WEDGES },
+  {
+    name: "No BANKRUPT (gentle)",
+    wedges: WW_WEDGES.map((w) =>
+      w.type === "bankrupt"
+        ? { label: "$250", type: "points", value: 250, color: "#64748b" }
+        : w
+    ),
+  },
+  {
+    name: "High stakes",
+    wedges: [
+      { label: "$500", type: "points", value: 500, color: "#2563eb" },
+      { label: "BANKRUPT", type: "bankrupt", value: 0, color: "#111827" },
+      { label: "$1000", type: "points", value: 1000, color: "#10b981" },
+      { label: "$1500", type: "points", value: 1500, color: "#f59e0b" },
+      { label: "LOSE A TURN", type: "lose", value: 0, color: "#6b7280" },
+      { label: "$2000", type: "points", value: 2000, color: "#9333ea" },
+      { label: "BANKRUPT", type: "bankrupt", value: 0, color: "#111827" },
+      { label: "$2500", type: "points", value: 2500, color: "#ef4444" },
+      { label: "DOUBLE", type: "double", value: 0, color: "#8b5cf6" },
+      {
+        label: "$5000",
+        type: "points",
+        value: 5000,
+        color: "#eab308",
+        weight: 0.5,
+        odds: 0.25,
+      },
+    ],
+  },
+];
+
+const withWedgeIds = (wedges) =>
+  wedges.map((w) => ({ weight: 1, ...w, id: w.id || uid("wedge") }));
+
+function loadWheelWedges() {
+  const stored = readStored(WHEEL_WEDGES_KEY);
+  return withWedgeIds(
+    Array.isArray(stored) && stored.length >= 2 ? stored : WW_WEDGES
+  );
+}
+
+const wedgeWeight = (w) => Math.max(0.1, Number(w.weight) || 1);
+const wedgeLabel = (w) =>
+  w.label ||
+  (w.type === "points" ? `$${w.value || 0}` : String(w.type).toUpperCase());
+
+// Angles are clockwise from the pointer at the top.
+export function wheelLayout(wedges) {
+  const total = wedges.reduce((n, w) => n + wedgeWeight(w), 0);
+  let at = 0;
+  return wedges.map((w) => {
+    const span = (360 * wedgeWeight(w)) / total;
+    const a0 = at;
+    at += span;
+    return { ...w, a0, a1: at, span };
+  });
+}
+
+function pickWedge(layout, rng) {
+  const odds = layout.map((w) =>
+    w.odds === "" || w.odds == null
+      ? wedgeWeight(w)
+      : Math.max(0, Number(w.odds) || 0)
+  );
+  const total = odds.reduce((a, b) => a + b, 0);
+  if (!total) return rng.int(layout.length);
+  let r = rng.next() * total;
+  for (let i = 0; i < odds.length; i++) {
+    r -= odds[i];
+    if (r < 0) return i;
+  }
+  return odds.length - 1;
+}
+
+// Letter money goes into a per-puzzle round bank; only the player who solves
+// moves theirs into the shared score, so BANKRUPT never touches trivia points.
+const WW_SOLVE_BONUS = 500;
+const WW_COMPLETE_BONUS = 200;
+
+// Spins pay for consonants only; vowels are bought from the round bank.
+const WW_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+const WW_VOWELS = new Set(["A", "E", "I", "O", "U"]);
+const VOWEL_COST_KEY = "pp.vowelCost";
+const DEFAULT_VOWEL_COST = 250;
+
+// Puzzles come from wheel-enabled vocab: the term itself or a teacher-written
+// answer (a phrase, or a short answer drawn from the definition), each with a
+// category. The board is a fixed grid that only wraps between words.
+const WW_BOARD_ROWS = 4;
+const WW_BOARD_COLS = 14;
+const WW_PUZZLE_MAX = 52;
+// Seconds between tiles turning on one call, and the longest any tile waits.
+const WW_REVEAL_STEP = 0.25;
+const WW_REVEAL_MAX_DELAY = 1.5;
+const PUZZLE_CATEGORIES = [
+  "Thing",
+  "Place",
+  "Person",
+  "Phrase",
+  "Science word",
+  "What it does",
+  "Event",
+];
+
+const puzzleAnswer = (v) =>
+  String(v.puzzle || v.term || "")
+    .trim()
+    .replace(/\s+/g, " ");
+const puzzleCategory = (v) =>
+  String(v.category || "").trim() ||
+  (puzzleAnswer(v).includes(" ") ? "Phrase" : "Thing");
+
+// Splits text into board rows of whole words, centered on a
+// WW_BOARD_ROWS × WW_BOARD_COLS grid. Cells are null (unused) or
+// { ch, at } where `at` is the character's index in the text. Only a word
+// longer than a whole row is ever broken.
+function layoutPuzzleBoard(text, cols = WW_BOARD_COLS) {
+  const words = [];
+  text.replace(/\S+/g, (word, at) => {
+    for (let i = 0; i < word.length; i += cols)
+      words.push({ word: word.slice(i, i + cols), at: at + i });
+    return word;
+  });
+  const lines = [];
+  words.forEach((w) => {
+    const line = lines[lines.length - 1];
+    const width = line ? line.reduce((n, x) => n + x.word.length + 1, 0) : 0;
+    if (line && width + w.word.length <= cols) line.push(w);
+    else lines.push([w]);
+  });
+
+  const rowCount = Math.max(WW_BOARD_ROWS, lines.length);
+  const top = Math.floor((rowCount - lines.length) / 2);
+  return Array.from({ length: rowCount }, (_, r) => {
+    const cells = Array(cols).fill(null);
+    const line = lines[r - top];
+    if (!line) return cells;
+    const width = line.reduce((n, x) => n + x.word.length, 0) + line.length - 1;
+    let c = Math.floor((cols - width) / 2);
+    line.forEach((w) => {
+      w.word.split("").forEach((ch, k) => {
+        cells[c++] = { ch, at: w.at + k };
+      });
+      c++;
+    });
+    return cells;
+  });
+}
+
+// Spin physics. Spins are simulated at a fixed step, so the same launch
+// (start angle and velocity in deg/s) plays out identically in every window.
+// Friction and air drag slow the wheel; each peg (wedge boundary) passing the
+// pointer costs a little speed, and a wheel too slow to clear a peg rocks back
+// off it, so it never stops on a line.
+const WW_SIM_HZ = 120;
+const WW_FRICTION = 60; // deg/s² regardless of speed
+const WW_DRAG = 0.6; // per second, proportional to speed
+const WW_PEG_LOSS = 6; // deg/s per peg
+const WW_PEG_BLOCK = 30; // below this a peg stops the wheel
+const WW_MIN_FLING = 900; // weaker drags could be used to aim
+const WW_MAX_FLING = 2400;
+const WW_BUTTON_SPEEDS = [1100, 1700];
+
+// The wheel angle at which the pointer sits on the next peg between d0 and d1.
+function nextPegAngle(d0, d1, pegs) {
+  let best = null;
+  pegs.forEach((b) => {
+    const base = -b;
+    if (d1 > d0) {
+      const p = base + 360 * (Math.floor((d0 - base) / 360) + 1);
+      if (p <= d1 && (best == null || p < best)) best = p;
+    } else {
+      const p = base + 360 * (Math.ceil((d0 - base) / 360) - 1);
+      if (p >= d1 && (best == null || p > best)) best = p;
+    }
+  });
+  return best;
+}
+
+function simulateSpin(from, v0, layout) {
+  const pegs = layout.map((w) => w.a0);
+  const dt = 1 / WW_SIM_HZ;
+  const frames = [from];
+  const ticks = [];
+  let deg = from;
+  let v = v0;
+  while (Math.abs(v) > 1 && frames.length < WW_SIM_HZ * 20) {
+    let next = deg + v * dt;
+    const peg = nextPegAngle(deg, next, pegs);
+    if (peg != null) {
+      ticks.push(frames.length);
+      if (Math.abs(v) < WW_PEG_BLOCK) {
+        next = peg - Math.sign(v) * 0.5;
+        v = -v * 0.3;
+      } else v -= Math.sign(v) * WW_PEG_LOSS;
+    }
+    deg = next;
+    const slow = (WW_FRICTION + WW_DRAG * Math.abs(v)) * dt;
+    v = Math.abs(v) <= slow ? 0 : v - Math.sign(v) * slow;
+    frames.push(deg);
+  }
+  return {
+    frames,
+    ticks,
+    end: deg,
+    ms: Math.round((frames.length * 1000) / WW_SIM_HZ),
+  };
+}
+
+// Index of the wedge under the pointer when the wheel rests at `deg`.
+function wedgeAt(layout, deg) {
+  const alpha = (((-deg % 360) + 360) % 360) % 360;
+  const i = layout.findIndex((w) => alpha >= w.a0 && alpha < w.a1);
+  return i < 0 ? layout.length - 1 : i;
+}
+
+// The Spin button still honours the editor's odds: pick the wedge first,
+// then find a launch speed that physically lands there. The resting angle
+// rises with the launch speed, so a point inside the wedge (on one of the
+// turns the button's speeds can reach) is found by bisection; the closest
+// speed tried is used if the pegs keep it from landing exactly.
+function aimedSpinSpeed(from, layout, rng) {
+  const { a0, a1 } = layout[pickWedge(layout, rng)];
+  const alpha = a0 + (0.2 + rng.next() * 0.6) * (a1 - a0);
+  let [lo, hi] = WW_BUTTON_SPEEDS;
+  const endAt = (v0) => simulateSpin(from, v0, layout).end;
+  const first = Math.ceil((endAt(lo) + alpha) / 360);
+  const last = Math.floor((endAt(hi) + alpha) / 360);
+  const aim = 360 * (first + rng.int(Math.max(1, last - first + 1))) - alpha;
+  let best = lo;
+  let bestMiss = Infinity;
+  for (let i = 0; i < 24; i++) {
+    const v0 = (lo + hi) / 2;
+    const miss = endAt(v0) - aim;
+    if (Math.abs(miss) < bestMiss) [best, bestMiss] = [v0, Math.abs(miss)];
+    if (Math.abs(miss) < 0.5) break;
+    if (miss < 0) lo = v0;
+    else hi = v0;
+  }
+  return best;
+}
+
+// Rules engine. Wheel actions: spin, fling {deg, v}, land, letter {letter},
+// vowel {letter}, solve {guess}, reveal, context, next, reset {puzzleIdx},
+// turn {player}, timeout. ctx: { players, bank, wedges, layout, vowelCost, now },
+// where bank is the list of puzzles. The RNG lives in the state as its 32-bit seed state, so
+// the reducer stays pure and a saved game carries on the same sequence.
+export function initWheelState(saved, seed) {
+  return {
+    active: saved?.active || 0,
+    puzzleIdx: saved?.puzzleIdx || 0,
+    roundNo: saved?.roundNo || 1,
+    guessed: saved?.guessed || [],
+    result: saved?.result || null,
+    canGuess: !!saved?.canGuess,
+    spinning: false,
+    spin: null,
+    currentDeg: saved?.currentDeg || 0,
+    roundBank: saved?.roundBank || {},
+    summary: saved?.summary || null,
+    letterHintsLeft: saved?.letterHintsLeft ?? 3,
+    contextHintsLeft: saved?.contextHintsLeft ?? 3,
+    contextHints: saved?.contextHints || [],
+    note: "",
+    flingNote: "",
+    rngState: saved?.rngState ?? hashSeed(`${seed}/wheel`),
+    effects: [],
+  };
+}
+
+const countLetter = (phrase, L) =>
+  phrase.split("").filter((ch) => ch === L).length;
+const hiddenLetters = (phrase, guessed) =>
+  phrase.split("").filter((ch) => /[A-Z]/.test(ch) && !guessed.includes(ch));
+// A landing has to be played with a consonant before the wheel spins again.
+export const wheelCanSpin = (state, phrase) =>
+  !state.spinning &&
+  !state.canGuess &&
+  !state.summary &&
+  hiddenLetters(phrase, state.guessed).some((ch) => !WW_VOWELS.has(ch));
+// Vowels are bought between spins, not with a spin's letter.
+export const wheelCanBuyVowel = (state, phrase) =>
+  !state.spinning && !state.canGuess && !state.summary && !!phrase;
+
+function maskTermInText(text, term) {
+  if (!text) return "";
+  try {
+    const re = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "ig");
+    return text.replace(re, "_____");
+  } catch {
+    return text;
+  }
+}
+function firstWords(s, n = 10) {
+  const parts = String(s || "")
+    .split(/\s+/)
+    .filter(Boolean);
+  const t = parts.slice(0, n).join(" ");
+  return parts.length > n ? t + "…" : t;
+}
+// Context hints get more specific: size + a short clue, the whole masked
+// definition, then the first letter.
+function contextHintText(puzzle, step) {
+  const phrase = puzzle.answer.toUpperCase();
+  const masked =
+    maskTermInText(
+      maskTermInText(puzzle.definition, puzzle.term),
+      puzzle.answer
+    ) || "A key term from the article.";
+  const words = phrase.split(" ").length;
+  const size =
+    words > 1
+      ? `${words} words`
+      : `a ${cleanCompare(phrase).length}-letter word`;
+  if (step === 0) return `It’s ${size}. Clue: ${firstWords(masked, 8)}`;
+  if (step === 1) return `Think about: ${masked}`;
+  return `More specific: ${masked} (starts with “${phrase[0]}”).`;
+}
+
+export function wheelReducer(state, action) {
+  if (action.type === "effectsDone") return effectsDone(state, action.count);
+  const {
+    players = [],
+    bank = [],
+    wedges = [],
+    layout,
+    vowelCost = DEFAULT_VOWEL_COST,
+    now = 0,
+  } = action.ctx || {};
+  const puzzle = bank[state.puzzleIdx];
+  const phrase = (puzzle?.answer || "").toUpperCase();
+  const { active } = state;
+  const idOf = (i) => players[i]?.id;
+  const bankOf = (s, i) => s.roundBank[idOf(i)] || 0;
+  const setBank = (s, i, amount) =>
+    idOf(i) ? { ...s, roundBank: { ...s.roundBank, [idOf(i)]: amount } } : s;
+  const sound = (name) => ({ type: "sound", name });
+  const score = (i, delta, reason) => ({
+    type: "score",
+    playerId: idOf(i),
+    delta,
+    reason,
+  });
+  const passTurn = (s) => ({
+    ...s,
+    active: players.length ? (s.active + 1) % players.length : 0,
+    canGuess: false,
+  });
+  const freshPuzzle = (s) => ({
+    ...s,
+    guessed: [],
+    result: null,
+    canGuess: false,
+    letterHintsLeft: 3,
+    contextHintsLeft: 3,
+    contextHints: [],
+    roundBank: {},
+    note: "",
+  });
+  const solvedBy = (s, i) =>
+    hiddenLetters(phrase, s.guessed).length
+      ? { ...s, canGuess: false }
+      : finishRound(s, i, WW_COMPLETE_BONUS, "Completed the puzzle");
+  const repeatCall = (L) =>
+    withEffects(
+      passTurn({
+        ...state,
+        note: `${L} was already called, so the turn passes.`,
+      }),
+      sound("fail")
+    );
+
+  // Ends the puzzle. The solver (null if a hint finished it) banks their
+  // round money plus the bonus; everyone else's round bank is forfeited.
+  function finishRound(s, solverIdx, bonus, reason) {
+    const solved = solverIdx != null && !!players[solverIdx];
+    const banked = solved ? bankOf(s, solverIdx) : 0;
+    const summary = {
+      round: s.roundNo,
+      puzzle: phrase,
+      solver: solved ? idOf(solverIdx) : null,
+      rows: players.map((p, i) => ({
+        id: p.id,
+        name: p.name,
+        round: bankOf(s, i),
+        banked: solved && i === solverIdx ? banked + bonus : 0,
+      })),
+    };
+    return withEffects(
+      { ...s, canGuess: false, summary },
+      ...(banked
+        ? [score(solverIdx, banked, `Banked round ${s.roundNo}`)]
+        : []),
+      ...(solved ? [score(solverIdx, bonus, reason)] : []),
+      { type: "confetti" }
+    );
+  }
+  function launch(s, from, v0) {
+    const sim = simulateSpin(from, v0, layout);
+    return withEffects(
+      {
+        ...s,
+        spinning: true,
+        canGuess: false,
+        note: "",
+        flingNote: "",
+        spin: {
+          id: `spin-${now}`,
+          from,
+          v0,
+          target: sim.end,
+          ms: sim.ms,
+          startedAt: now,
+        },
+      },
+      { type: "later", ms: sim.ms, action: { type: "land" } }
+    );
+  }
+
+  switch (action.type) {
+    case "spin": {
+      if (!wheelCanSpin(state, phrase)) return state;
+      const rng = createRng(null, state.rngState);
+      const v0 = aimedSpinSpeed(state.currentDeg, layout, rng);
+      return launch({ ...state, rngState: rng.state }, state.currentDeg, v0);
+    }
+    case "fling": {
+      // A drag leaves the wheel where it was let go; only a strong fling spins.
+      if (!wheelCanSpin(state, phrase)) return state;
+      const s = { ...state, currentDeg: action.deg };
+      if (Math.abs(action.v) < WW_MIN_FLING)
+        return { ...s, flingNote: "Too gentle! Give the wheel a big swipe." };
+      const v0 =
+        Math.sign(action.v) * Math.min(Math.abs(action.v), WW_MAX_FLING);
+      return launch(s, action.deg, v0);
+    }
+    case "land": {
+      // A round that ended while the wheel turned keeps its summary.
+      if (!state.spinning) return state;
+      if (state.summary)
+        return { ...state, spinning: false, currentDeg: state.spin.target };
+      const wedge = wedges[wedgeAt(layout, state.spin.target)];
+      const s = {
+        ...state,
+        spinning: false,
+        currentDeg: state.spin.target,
+        result: wedge,
+      };
+      if (wedge?.type === "lose")
+        return withEffects(passTurn(s), sound("fail"));
+      if (wedge?.type === "bankrupt")
+        return withEffects(passTurn(setBank(s, active, 0)), sound("fail"));
+      return { ...s, canGuess: true };
+    }
+    case "letter": {
+      if (!state.canGuess || state.summary) return state;
+      const L = String(action.letter || "").toUpperCase();
+      if (!/^[A-Z]$/.test(L)) return state;
+      if (WW_VOWELS.has(L))
+        return {
+          ...state,
+          note: `Spins are for consonants. Vowels are bought for $${vowelCost}.`,
+        };
+      if (state.guessed.includes(L)) return repeatCall(L);
+      const s = { ...state, note: "", guessed: [...state.guessed, L] };
+      const matches = countLetter(phrase, L);
+      if (!matches) return withEffects(passTurn(s), sound("fail"));
+
+      const { result } = state;
+      let per = 0;
+      let bonus = 0;
+      if (result?.type === "points") per = result.value;
+      if (result?.type === "bonus") {
+        per = 100;
+        bonus = result.value || 0;
+      }
+      const bank =
+        result?.type === "double"
+          ? bankOf(s, active) * 2
+          : bankOf(s, active) + matches * per + bonus;
+      return solvedBy(
+        withEffects(setBank(s, active, bank), sound("success")),
+        active
+      );
+    }
+    case "vowel": {
+      const L = String(action.letter || "").toUpperCase();
+      if (!WW_VOWELS.has(L) || !wheelCanBuyVowel(state, phrase)) return state;
+      if (state.guessed.includes(L)) return repeatCall(L);
+      const left = bankOf(state, active) - vowelCost;
+      if (left < 0)
+        return {
+          ...state,
+          note: `A vowel costs $${vowelCost} from the round bank.`,
+        };
+      const s = setBank(
+        { ...state, note: "", guessed: [...state.guessed, L] },
+        active,
+        left
+      );
+      if (!countLetter(phrase, L))
+        return withEffects(passTurn(s), sound("fail"));
+      return solvedBy(withEffects(s, sound("success")), active);
+    }
+    case "solve": {
+      const guess = cleanCompare(action.guess);
+      // No solving mid-spin: the landing belongs to this turn.
+      if (!guess || !phrase || state.summary || state.spinning) return state;
+      if (guess !== cleanCompare(phrase))
+        return withEffects(passTurn(state), sound("fail"));
+      return finishRound(
+        withEffects(state, sound("success")),
+        active,
+        WW_SOLVE_BONUS,
+        "Solved the puzzle"
+      );
+    }
+    case "reveal": {
+      // Reveals a random hidden letter, consonants first. Hints wait for the
+      // wheel, so the landing still belongs to an open round.
+      if (state.letterHintsLeft <= 0 || !phrase || state.summary) return state;
+      if (state.spinning) return state;
+      const remaining = hiddenLetters(phrase, state.guessed);
+      if (!remaining.length) return state;
+      const consonants = remaining.filter((ch) => !WW_VOWELS.has(ch));
+      const pool = consonants.length ? consonants : remaining;
+      const rng = createRng(null, state.rngState);
+      const pick = pool[rng.int(pool.length)];
+      const s = withEffects(
+        {
+          ...state,
+          guessed: [...state.guessed, pick],
+          letterHintsLeft: state.letterHintsLeft - 1,
+          rngState: rng.state,
+        },
+        sound("success")
+      );
+      return hiddenLetters(phrase, s.guessed).length ? s : finishRound(s, null);
+    }
+    case "context": {
+      if (state.contextHintsLeft <= 0 || !phrase || state.spinning)
+        return state;
+      return withEffects(
+        {
+          ...state,
+          contextHints: [
+            ...state.contextHints,
+            contextHintText(puzzle, 3 - state.contextHintsLeft),
+          ],
+          contextHintsLeft: state.contextHintsLeft - 1,
+        },
+        sound("success")
+      );
+    }
+    case "next":
+      return freshPuzzle({
+        ...state,
+        summary: null,
+        roundNo: state.roundNo + 1,
+        puzzleIdx: bank.length ? (state.puzzleIdx + 1) % bank.length : 0,
+      });
+    case "reset":
+      // The current puzzle changed under the game (edited or removed).
+      return freshPuzzle({
+        ...state,
+        puzzleIdx: action.puzzleIdx ?? state.puzzleIdx,
+      });
+    case "turn":
+      return { ...state, active: action.player };
+    case "timeout":
+      // The shot clock ran out on a letter call or a turn; it buzzes itself.
+      if (state.spinning || state.summary) return state;
+      return passTurn({ ...state, note: "⏰ Time’s up, so the turn passes." });
+    default:
+      throw new Error(`Unknown wheel action: ${action.type}`);
+  }
+}
+
+// The wheel drawing is shared by the game and the audience display. It is
+// driven by props: a resting angle, or a spin cue (start angle and launch
+// velocity) that every window replays through simulateSpin, so they turn in
+// step. Only the game passes onFling, which makes the wheel draggable.
+const WW_SIZE = 440;
+
+function polar(r, deg) {
+  const rad = (deg * Math.PI) / 180;
+  return { x: r * Math.cos(rad), y: r * Math.sin(rad) };
+}
+function ringSectorPath(rInner, rOuter, a0, a1) {
+  const large = a1 - a0 > 180 ? 1 : 0;
+  const p0 = polar(rOuter, a0);
+  const p1 = polar(rOuter, a1);
+  const p2 = polar(rInner, a1);
+  const p3 = polar(rInner, a0);
+  return [
+    `M ${p0.x} ${p0.y}`,
+    `A ${rOuter} ${rOuter} 0 ${large} 1 ${p1.x} ${p1.y}`,
+    `L ${p2.x} ${p2.y}`,
+    `A ${rInner} ${rInner} 0 ${large} 0 ${p3.x} ${p3.y}`,
+    "Z",
+  ].join(" ");
+}
+
+function fontSizeFor(label) {
+  const base = 26; // tuned for the smaller wheel
+  const len = String(label).length;
+  if (len <= 6) return base + 4;
+  if (len <= 10) return base;
+  return base - 4;
+}
+// Wrap special labels to two lines
+function wrapWheelLabel(label) {
+  const L = String(label).toUpperCase();
+  if (L.includes("LOSE A TURN")) return ["LOSE", "A TURN"];
+  if (L.includes("BONUS")) {
+    const rest = L.replace(/BONUS/i, "").trim(); // "+$200" / "+200"
+    return ["BONUS", rest || "+$200"];
+  }
+  if (L.includes("BANKRUPT")) return ["BANK", "RUPT"]; // compact and readable
+  // Other long labels break at the space nearest the middle.
+  const spaces = [...label.matchAll(/ /g)].map((m) => m.index);
+  if (label.length > 8 && spaces.length) {
+    const mid = label.length / 2;
+    const at = spaces.reduce((a, b) =>
+      Math.abs(b - mid) < Math.abs(a - mid) ? b : a
+    );
+    return [label.slice(0, at), label.slice(at + 1)];
+  }
+  return [label];
+}
+
+function WheelFace({
+  wedges = WW_WEDGES,
+  deg = 0,
+  spin = null,
+  size = WW_SIZE,
+  onFling,
+  onPeg,
+}) {
+  const R = WW_SIZE / 2;
+  const R_OUTER = R - 8;
+  const R_INNER = R * 0.16;
+  const layout = useMemo(() => wheelLayout(wedges), [wedges]);
+  const groupRef = useRef(null);
+  const pointerRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    const g = groupRef.current;
+    if (!g) return;
+    if (!spin) {
+      g.style.transform = `rotate(${deg}deg)`;
+      return;
+    }
+    // A window that hears about a spin late joins it part-way through.
+    const sim = simulateSpin(spin.from, spin.v0, layout);
+    const frameAt = () =>
+      Math.min(
+        sim.frames.length - 1,
+        Math.floor(((Date.now() - spin.startedAt) * WW_SIM_HZ) / 1000)
+      );
+    let last = frameAt();
+    let tick = sim.ticks.findIndex((t) => t > last);
+    let flick = 0;
+    let raf = null;
+    const step = () => {
+      const i = frameAt();
+      let hit = false;
+      while (tick >= 0 && tick < sim.ticks.length && sim.ticks[tick] <= i) {
+        hit = true;
+        tick++;
+      }
+      if (hit) {
+        flick = -Math.sign(sim.frames[i] - sim.frames[last] || spin.v0) * 24;
+        onPeg?.();
+      } else flick *= 0.8;
+      last = i;
+      g.style.transform = `rotate(${sim.frames[i]}deg)`;
+      if (pointerRef.current)
+        pointerRef.current.style.transform = `translateX(-50%) rotate(${flick}deg)`;
+      if (i < sim.frames.length - 1) raf = requestAnimationFrame(step);
+    };
+    step();
+    return () => cancelAnimationFrame(raf);
+  }, [spin?.id, deg]); // eslint-disable-line
+
+  // Dragging turns the wheel under the finger; letting go flings it with the
+  // speed of the last ~100ms of movement.
+  const angleOf = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const x = e.clientX - (box.left + box.width / 2);
+    const y = e.clientY - (box.top + box.height / 2);
+    return (Math.atan2(y, x) * 180) / Math.PI;
+  };
+  function onPointerDown(e) {
+    if (!onFling || spin) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const now = Date.now();
+    dragRef.current = {
+      pointer: angleOf(e),
+      start: deg,
+      deg,
+      samples: [{ t: now, deg }],
+    };
+  }
+  function onPointerMove(e) {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const a = angleOf(e);
+    const turn = ((a - drag.pointer + 540) % 360) - 180;
+    drag.pointer = a;
+    drag.deg += turn;
+    const now = Date.now();
+    drag.samples = [...drag.samples, { t: now, deg: drag.deg }].filter(
+      (p) => now - p.t <= 100
+    );
+    if (groupRef.current)
+      groupRef.current.style.transform = `rotate(${drag.deg}deg)`;
+  }
+  function onPointerUp() {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || Math.abs(drag.deg - drag.start) < 2) return; // a tap
+    const first = drag.samples[0];
+    const lastSample = drag.samples[drag.samples.length - 1];
+    const ms = Math.max(16, Date.now() - first.t);
+    const v =
+      lastSample === first ? 0 : ((lastSample.deg - first.deg) * 1000) / ms;
+    onFling(drag.deg, v);
+  }
+
+  return (
+    <div className="relative">
+      {/* pointer at top; pegs flick it */}
+      <div
+        ref={pointerRef}
+        style={{
+          position: "absolute",
+          top: -16,
+          left: "50%",
+          transform: "translateX(-50%)",
+          transformOrigin: "50% 0",
+          width: 0,
+          height: 0,
+          borderLeft: "12px solid transparent",
+          borderRight: "12px solid transparent",
+          borderBottom: "22px solid #111827",
+          zIndex: 5,
+        }}
+      />
+      <svg
+        width={size}
+        height={size}
+        viewBox={`${-R} ${-R} ${WW_SIZE} ${WW_SIZE}`}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        style={{
+          display: "block",
+          background: "#ffffff",
+          borderRadius: "50%",
+          boxShadow: "0 14px 38px rgba(0,0,0,.18)",
+          border: "10px solid white",
+          touchAction: onFling ? "none" : undefined,
+          cursor: onFling && !spin ? "grab" : undefined,
+        }}
+      >
+        <g ref={groupRef}>
+          {/* Wedges */}
+          {layout.map((w, i) => {
+            const a0 = w.a0 - 90; // start angle (top = -90deg)
+            const a1 = w.a1 - 90;
+            const mid = (a0 + a1) / 2;
 
-      {/* Modal */}
-      {modal && (
-        <div
-          className="fixed inset-0 flex items-center justify-center p-4"
-          style={{ background: "rgba(0,0,0,.45)" }}
-        >
-          <div className="bg-white rounded-2xl w-full max-w-3xl p-6 shadow-2xl border">
-            <div className="flex items-start justify-between">
-              <div>
-                <div className="text-xs uppercase tracking-wider text-blue-600 font-bold">
-                  {board.categories[modal.cIdx].title}
-                </div>
-                <div className="text-2xl font-extrabold text-blue-900">
-                  ${modal.clue.value}
-                </div>
-                <div className="text-sm text-gray-600 mt-1">
-                  Current: <b>{players[active]?.name || "Player"}</b>
-                </div>
-              </div>
-              <button
-                className="text-gray-500 hover:text-black"
-                onClick={() => (setModal(null), setAttempted(new Set()))}
-              >
-                ✕
-              </button>
-            </div>
+            // word wrap + font sizing; narrow wedges get smaller labels
+            const label = wedgeLabel(w);
+            const lines = wrapWheelLabel(label);
+            let fs = fontSizeFor(label);
+            if (lines.length > 1) fs = Math.max(18, fs - 2);
+            fs = Math.max(11, Math.round(fs * Math.min(1, w.span / 30)));
+            const lineHeight = fs * 0.9;
+            const dy0 = (-lineHeight * (lines.length - 1)) / 2;
 
-            <div className="mt-3">
-              <div className="text-sm uppercase tracking-wide text-gray-500">
-                Question
-              </div>
-              <div className="text-lg">{modal.clue.question}</div>
-            </div>
+            const isDark = w.color === "#111827" || w.color === "#6b7280";
 
-            <div className="mt-3">
-              <div className="text-sm uppercase tracking-wide text-gray-500">
-                Your Answer (optional)
-              </div>
-              <input
-                className="border rounded-md px-3 py-2 w-full"
-                placeholder="Type answer here… (for your reference)"
-                value={guess}
-                onChange={(e) => setGuess(e.target.value)}
+            return (
+              <g key={w.id || i}>
+                <path
+                  d={ringSectorPath(R_INNER, R_OUTER, a0, a1)}
+                  fill={w.color}
+                  stroke="#ffffff"
+                  strokeWidth={2}
+                />
+                {/* Label near outer rim, tangent; pull slightly inward if multi-line */}
+                <g
+                  transform={`rotate(${mid}) translate(${
+                    R_OUTER - (lines.length > 1 ? 48 : 40)
+                  },0) rotate(90)`}
+                >
+                  <text
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    style={{
+                      fontWeight: 900,
+                      fontSize: fs,
+                      letterSpacing: "0.02em",
+                      fill: "#ffffff",
+                      paintOrder: "stroke",
+                      stroke: isDark ? "#000000" : "rgba(0,0,0,.75)",
+                      strokeWidth: 4,
+                    }}
+                  >
+                    {lines.map((ln, j) => (
+                      <tspan key={j} x="0" dy={j === 0 ? dy0 : lineHeight}>
+                        {ln}
+                      </tspan>
+                    ))}
+                  </text>
+                </g>
+              </g>
+            );
+          })}
+
+          {/* Pegs on every wedge boundary */}
+          {layout.map((w, i) => {
+            const p = polar(R_OUTER - 5, w.a0 - 90);
+            return (
+              <circle
+                key={`peg-${w.id || i}`}
+                cx={p.x}
+                cy={p.y}
+                r={4}
+                fill="#e5e7eb"
+                stroke="#374151"
+                strokeWidth={1.5}
               />
+            );
+          })}
 
-              <div className="mt-2 flex gap-2">
-                <button
-                  className="btn-judge"
-                  style={{
-                    background: "#059669",
-                    color: "#fff",
-                    borderColor: "#047857",
-                  }}
-                  onClick={onMarkCorrect}
-                >
-                  ✓ Correct
-                </button>
-                <button
-                  className="btn-judge"
+          {/* Center hub */}
+          <circle r={R_INNER} fill="#111827" stroke="#e5e7eb" strokeWidth="2" />
+          <circle r={R_INNER - 8} fill="#1f2937" />
+        </g>
+      </svg>
+    </div>
+  );
+}
+
+// Renders a masked puzzle ("▢" = hidden letter). Hidden tiles are blank,
+// punctuation is always shown, and newly revealed letters pop in one after
+// another like on TV.
+function PuzzleBoard({ masked, category, tileFont = 20 }) {
+  const rows = useMemo(() => layoutPuzzleBoard(masked), [masked]);
+  // Tiles turned by the latest call flip one after another, left to right;
+  // everything else (and a whole new puzzle) changes at once.
+  const prevRef = useRef(masked);
+  const delay = useMemo(() => {
+    const prev = prevRef.current;
+    let n = 0;
+    return masked
+      .split("")
+      .map((ch, i) =>
+        ch !== "▢" && prev[i] === "▢"
+          ? Math.min(n++ * WW_REVEAL_STEP, WW_REVEAL_MAX_DELAY)
+          : 0
+      );
+  }, [masked]);
+  useEffect(() => {
+    prevRef.current = masked;
+  }, [masked]);
+  return (
+    <div>
+      {category && (
+        <div className="mb-2 text-center text-xs font-bold uppercase tracking-widest text-indigo-700">
+          Category: {category}
+        </div>
+      )}
+      <div
+        className="grid gap-1 rounded-xl p-2"
+        style={{
+          gridTemplateColumns: `repeat(${WW_BOARD_COLS}, minmax(0, 1fr))`,
+          background: "#065f46",
+        }}
+      >
+        {rows.flatMap((cells, r) =>
+          cells.map((cell, c) => {
+            if (!cell || cell.ch === " ")
+              return (
+                <div
+                  key={`${r}-${c}`}
+                  className="rounded"
+                  style={{ aspectRatio: "3 / 4", background: "#047857" }}
+                />
+              );
+            const shown = cell.ch !== "▢";
+            return (
+              <div
+                key={`${r}-${c}`}
+                className="rounded flex items-center justify-center font-black text-gray-900"
+                style={{
+                  aspectRatio: "3 / 4",
+                  fontSize: tileFont,
+                  background: shown ? "#ffffff" : "#f1f5f9",
+                  boxShadow: shown ? "none" : "inset 0 0 0 3px #bfdbfe",
+                  transition: "background .3s, box-shadow .3s",
+                  transitionDelay: `${delay[cell.at]}s`,
+                }}
+              >
+                <span
                   style={{
-                    background: "#e11d48",
-                    color: "#fff",
-                    borderColor: "#be123c",
+                    display: "inline-block",
+                    transform: shown ? "scale(1)" : "scale(0)",
+                    transition: "transform .35s cubic-bezier(.2,1.4,.5,1)",
+                    transitionDelay: `${delay[cell.at]}s`,
                   }}
-                  onClick={onMarkIncorrect}
                 >
-                  ✗ Incorrect
-                </button>
+                  {shown ? cell.ch : ""}
+                </span>
               </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
 
-              <div className="mt-2 text-sm">
-                {result &&
-                  (result.startsWith("✅") ? (
-                    <span className="text-green-700 font-semibold">
-                      {result}
-                    </span>
-                  ) : (
-                    <span className="text-red-700 font-semibold">{result}</span>
-                  ))}
-              </div>
-            </div>
+// Wedge editor: one row per wedge plus built-in and saved presets. Presets
+// are copied in with fresh ids, so editing never changes the preset itself.
+function WheelEditor({ wedges, setWedges, vowelCost, setVowelCost }) {
+  const [presets, setPresets] = useState(
+    () => readStored(WHEEL_PRESETS_KEY) || []
+  );
+  const [choice, setChoice] = useState("");
+  const total = wedges.reduce((n, w) => n + wedgeWeight(w), 0);
 
-            <div className="mt-3">
-              <div className="text-sm uppercase tracking-wide text-gray-500">
-                Official Answer
-              </div>
-              <details className="mt-1">
-                <summary className="cursor-pointer select-none inline-block px-3 py-1.5 rounded-lg border bg-indigo-600 text-white">
-                  Show Answer
-                </summary>
-                <div className="mt-2 text-lg font-semibold text-indigo-800">
-                  {modal.clue.answer}
-                </div>
-              </details>
-            </div>
+  function edit(id, patch) {
+    setWedges((prev) =>
+      prev.map((w) => (w.id === id ? { ...w, ...patch } : w))
+    );
+  }
+  function remove(id) {
+    setWedges((prev) =>
+      prev.length > 2 ? prev.filter((w) => w.id !== id) : prev
+    );
+  }
+  function add() {
+    setWedges((prev) => [
+      ...prev,
+      {
+        id: uid("wedge"),
+        label: "$100",
+        type: "points",
+        value: 100,
+        color: PLAYER_COLORS[prev.length % PLAYER_COLORS.length],
+        weight: 1,
+      },
+    ]);
+  }
+  function storePresets(next) {
+    setPresets(next);
+    writeStored(WHEEL_PRESETS_KEY, next);
+  }
+  function load(key) {
+    setChoice(key);
+    const [kind, i] = key.split(":");
+    const preset = (kind === "builtin" ? BUILTIN_WHEEL_PRESETS : presets)[i];
+    if (preset) setWedges(withWedgeIds(preset.wedges.map(({ id, ...w }) => w)));
+  }
+  function saveAs() {
+    const name = window.prompt("Name this wheel preset:")?.trim();
+    if (!name) return;
+    const wedgesOnly = wedges.map(({ id, ...w }) => w);
+    const next = [
+      ...presets.filter((p) => p.name !== name),
+      { name, wedges: wedgesOnly },
+    ];
+    storePresets(next);
+    setChoice(`custom:${next.length - 1}`);
+  }
+  function removePreset() {
+    const i = Number(choice.split(":")[1]);
+    if (!window.confirm(`Delete the preset “${presets[i]?.name}”?`)) return;
+    storePresets(presets.filter((_, j) => j !== i));
+    setChoice("");
+  }
+
+  return (
+    <div className="mt-4 rounded-xl border bg-gray-50 p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={choice}
+          onChange={(e) => e.target.value && load(e.target.value)}
+          className="border rounded-md px-2 py-1 text-sm"
+        >
+          <option value="">Load a preset…</option>
+          {BUILTIN_WHEEL_PRESETS.map((p, i) => (
+            <option key={p.name} value={`builtin:${i}`}>
+              {p.name}
+            </option>
+          ))}
+          {presets.map((p, i) => (
+            <option key={`custom:${i}`} value={`custom:${i}`}>
+              ★ {p.name}
+            </option>
+          ))}
+        </select>
+        <button
+          className="px-2 py-1 rounded-lg border text-sm bg-white hover:bg-gray-50"
+          onClick={saveAs}
+        >
+          Save as preset
+        </button>
+        {choice.startsWith("custom:") && (
+          <button
+            className="px-2 py-1 rounded-lg border text-sm bg-white hover:bg-red-50 text-red-700"
+            onClick={removePreset}
+          >
+            Delete preset
+          </button>
+        )}
+        <label className="text-sm text-gray-700">
+          Vowel price $
+          <input
+            type="number"
+            min="0"
+            step="50"
+            value={vowelCost}
+            onChange={(e) =>
+              setVowelCost(Math.max(0, Number(e.target.value) || 0))
+            }
+            className="ml-1 border rounded-md px-2 py-1 text-sm w-20"
+          />
+        </label>
+        <span className="text-xs text-gray-500">
+          Size sets the wedge’s share of the wheel. Leave odds blank to land on
+          it as often as its size suggests. Odds steer the Spin button only;
+          swiped spins land wherever the physics takes them.
+        </span>
+      </div>
 
-            <div className="mt-4 flex items-center justify-between">
+      <div className="mt-3 space-y-2">
+        {wedges.map((w) => {
+          const pct = Math.round((100 * wedgeWeight(w)) / total);
+          return (
+            <div key={w.id} className="flex flex-wrap items-center gap-2">
+              <input
+                type="color"
+                value={w.color}
+                onChange={(e) => edit(w.id, { color: e.target.value })}
+                className="h-8 w-8 rounded border"
+                title="Wedge color"
+              />
+              <input
+                value={w.label}
+                onChange={(e) =>
+                  edit(w.id, { label: e.target.value.slice(0, 16) })
+                }
+                placeholder={wedgeLabel({ ...w, label: "" })}
+                className="border rounded-md px-2 py-1 text-sm w-36 font-semibold"
+              />
+              <select
+                value={w.type}
+                onChange={(e) => edit(w.id, { type: e.target.value })}
+                className="border rounded-md px-2 py-1 text-sm"
+              >
+                {WEDGE_TYPES.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+              {["points", "bonus"].includes(w.type) && (
+                <label className="text-xs text-gray-600">
+                  $
+                  <input
+                    type="number"
+                    min="0"
+                    step="50"
+                    value={w.value}
+                    onChange={(e) =>
+                      edit(w.id, {
+                        value: Math.max(0, Number(e.target.value) || 0),
+                      })
+                    }
+                    className="ml-1 border rounded-md px-2 py-1 text-sm w-20"
+                  />
+                </label>
+              )}
+              <label className="text-xs text-gray-600">
+                Size
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.5"
+                  value={w.weight ?? 1}
+                  onChange={(e) => edit(w.id, { weight: e.target.value })}
+                  className="ml-1 border rounded-md px-2 py-1 text-sm w-16"
+                />
+                <span className="ml-1">{pct}%</span>
+              </label>
+              <label className="text-xs text-gray-600">
+                Odds
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={w.odds ?? ""}
+                  onChange={(e) => edit(w.id, { odds: e.target.value })}
+                  placeholder="auto"
+                  className="ml-1 border rounded-md px-2 py-1 text-sm w-16"
+                />
+              </label>
               <button
-                className="px-3 py-2 rounded-lg border"
-                onClick={() => {
-                  markUsed(modal.cIdx, modal.rIdx);
-                  setModal(null);
-                }}
+                className="text-xs text-gray-400 hover:text-red-600 disabled:opacity-60"
+                onClick={() => remove(w.id)}
+                disabled={wedges.length <= 2}
+                title="Remove wedge"
               >
-                Pass / Mark Used
+                ✕
               </button>
-              <div className="text-sm text-gray-600">
-                Next turn:{" "}
-                <b>
-                  {players[(active + 1) % Math.max(players.length, 1)]?.name}
-                </b>
-              </div>
             </div>
-          </div>
-        </div>
-      )}
-    </section>
+          );
+        })}
+      </div>
+      <button
+        className="mt-3 px-2 py-1 rounded-lg border text-sm bg-white hover:bg-gray-50"
+        onClick={add}
+      >
+        + Wedge
+      </button>
+    </div>
   );
 }
 
-// ---------- Wonder Wheel (SVG, Wheel-of-Fortune style) ----------
-const WW_WEDGES = [
-  { label: "$300", type: "points", value: 300, color: "#2563eb" },
-  { label: "$450", type: "points", value: 450, color: "#10b981" },
-  { label: "$500", type: "points", value: 500, color: "#f59e0b" },
-  { label: "$650", type: "points", value: 650, color: "#9333ea" },
-  { label: "$700", type: "points", value: 700, color: "#ef4444" },
-  { label: "BANKRUPT", type: "bankrupt", value: 0, color: "#111827" },
-  { label: "$800", type: "points", value: 800, color: "#0ea5e9" },
-  { label: "$900", type: "points", value: 900, color: "#db2777" },
-  { label: "LOSE A TURN", type: "lose", value: 0, color: "#6b7280" },
-  { label: "$1000", type: "points", value: 1000, color: "#22c55e" },
-  { label: "DOUBLE", type: "double", value: 200, color: "#8b5cf6" },
-  { label: "BONUS +$200", type: "bonus", value: 200, color: "#14b8a6" },
-];
-
-function WonderWheel({ vocab, players, setPlayers }) {
-  // Geometry (smaller so it doesn't cover RHS modules)
-  const SIZE = 440;
-  const R = SIZE / 2;
-  const R_OUTER = R - 8;
-  const R_INNER = R * 0.16;
-  const SEG = 360 / WW_WEDGES.length;
+function WonderWheel({
+  vocab,
+  players,
+  setPlayers,
+  unit,
+  onScore,
+  seed,
+  timers,
+  replay,
+  onReplay,
+  saved,
+  onSave,
+  onDisplay,
+}) {
+  const [actions, setActions] = useState(saved?.actions || []);
+  const [replaying, setReplaying] = useState(() =>
+    replay?.length ? { actions: replay, step: 0 } : null
+  );
 
-  // Spin state
-  const [spinning, setSpinning] = useState(false);
-  const [result, setResult] = useState(null);
-  const [canGuess, setCanGuess] = useState(false);
-  const [currentDeg, setCurrentDeg] = useState(0);
-  const groupRef = useRef(null);
+  // Wedges are a teacher setting, so they outlive any one game
+  const [wedges, setWedges] = useState(loadWheelWedges);
+  const [editingWheel, setEditingWheel] = useState(false);
+  useEffect(() => {
+    writeStored(WHEEL_WEDGES_KEY, wedges);
+  }, [wedges]);
+  const [vowelCost, setVowelCost] = useState(
+    () => readStored(VOWEL_COST_KEY) ?? DEFAULT_VOWEL_COST
+  );
+  useEffect(() => {
+    writeStored(VOWEL_COST_KEY, vowelCost);
+  }, [vowelCost]);
+  // The wheel in play. Moves are recorded along with the wheel they were made
+  // on (see play()), so a replay turns the recorded wheel, not today's one.
+  const replaySetup = replaying?.setup;
+  const wheelSetup = useMemo(
+    () => replaySetup || { wedges, vowelCost },
+    [replaySetup, wedges, vowelCost]
+  );
+  const layout = useMemo(
+    () => wheelLayout(wheelSetup.wedges),
+    [wheelSetup.wedges]
+  );
 
-  // Puzzle state
+  // Puzzle bank
   const bank = useMemo(
     () =>
       (vocab || [])
-        .map((v) => String(v.term || "").trim())
-        .filter((t) => t.length >= 3)
+        .filter((v) => v.wheel !== false)
+        .map((v) => ({
+          answer: puzzleAnswer(v),
+          category: puzzleCategory(v),
+          term: String(v.term || "").trim(),
+          definition: String(v.definition || ""),
+        }))
+        .filter((p) => cleanCompare(p.answer).length >= 3)
         .slice(0, 20),
     [vocab]
   );
 
-  // Definition map for context hints
-  const defMap = useMemo(() => {
-    const map = {};
-    (vocab || []).forEach((v) => {
-      if (v?.term)
-        map[String(v.term).toUpperCase()] = String(v.definition || "");
-    });
-    return map;
-  }, [vocab]);
-
-  const [puzzleIdx, setPuzzleIdx] = useState(0);
-  const [guessed, setGuessed] = useState(new Set());
-  const [active, setActive] = useState(0);
-
-  // Two hint counters + shown context hints
-  const [letterHintsLeft, setLetterHintsLeft] = useState(3);
-  const [contextHintsLeft, setContextHintsLeft] = useState(3);
-  const [contextHints, setContextHints] = useState([]);
+  // Audio (tiny beeps)
+  function playTick() {
+    beep(1400, 0.02, "square", 0.05);
+  }
+  function playSuccess() {
+    beep(880, 0.1, "sine", 0.08);
+    setTimeout(() => beep(1046, 0.12, "sine", 0.08), 120);
+  }
+  function playFail() {
+    beep(220, 0.12, "sawtooth", 0.09);
+    setTimeout(() => beep(180, 0.14, "sawtooth", 0.09), 120);
+  }
 
-  const phrase = useMemo(
-    () => (bank[puzzleIdx] || "").toUpperCase(),
-    [bank, puzzleIdx]
+  // The rules live in wheelReducer; this component renders its state.
+  const [wheel, send] = useGameEngine(
+    wheelReducer,
+    () => initWheelState(saved, seed),
+    {
+      players,
+      bank,
+      wedges: wheelSetup.wedges,
+      layout,
+      vowelCost: wheelSetup.vowelCost,
+    },
+    (fx) => {
+      if (fx.type === "score")
+        onScore({
+          playerId: fx.playerId,
+          delta: fx.delta,
+          reason: fx.reason,
+          game: "wheel",
+        });
+      else if (fx.type === "sound")
+        (fx.name === "success" ? playSuccess : playFail)();
+      else if (fx.type === "confetti")
+        confetti({ particleCount: 180, spread: 80, origin: { y: 0.6 } });
+    }
   );
+  const {
+    active,
+    puzzleIdx,
+    roundNo,
+    roundBank,
+    summary,
+    spinning,
+    result,
+    canGuess,
+    currentDeg,
+    letterHintsLeft,
+    contextHintsLeft,
+    contextHints,
+    note,
+    flingNote,
+  } = wheel;
+  const spinCue = wheel.spin;
+  const puzzle = bank[puzzleIdx];
+  const phrase = (puzzle?.answer || "").toUpperCase();
+  const guessed = useMemo(() => new Set(wheel.guessed), [wheel.guessed]);
+  const bankOf = (playerIdx) => roundBank[players[playerIdx]?.id] || 0;
+  const canSpin = wheelCanSpin(wheel, phrase);
+  const canBuyVowel = wheelCanBuyVowel(wheel, phrase);
+
   const masked = useMemo(
     () =>
       phrase
@@ -620,11 +6781,9 @@ function WonderWheel({ vocab, players, setPlayers }) {
         .join(""),
     [phrase, guessed]
   );
-  const remainingLetters = useMemo(
-    () =>
-      phrase.split("").filter((ch) => /[A-Z]/.test(ch) && !guessed.has(ch))
-        .length,
-    [phrase, guessed]
+  const remainingLetters = hiddenLetters(phrase, wheel.guessed).length;
+  const consonantsLeft = hiddenLetters(phrase, wheel.guessed).some(
+    (ch) => !WW_VOWELS.has(ch)
   );
   const misses = useMemo(
     () =>
@@ -634,449 +6793,252 @@ function WonderWheel({ vocab, players, setPlayers }) {
     [guessed, phrase]
   );
 
-  // Audio (tiny beeps)
-  const audioCtxRef = useRef(null);
-  function ctx() {
-    if (!audioCtxRef.current) {
-      const Ctx = window.AudioContext || window.webkitAudioContext;
-      audioCtxRef.current = new Ctx();
-    }
-    return audioCtxRef.current;
-  }
-  function beep(freq = 800, duration = 0.08, type = "square", gain = 0.05) {
-    const ac = ctx();
-    ac.resume();
-    const now = ac.currentTime;
-    const osc = ac.createOscillator();
-    const g = ac.createGain();
-    osc.type = type;
-    osc.frequency.setValueAtTime(freq, now);
-    g.gain.setValueAtTime(gain, now);
-    g.gain.exponentialRampToValueAtTime(0.0001, now + duration);
-    osc.connect(g).connect(ac.destination);
-    osc.start(now);
-    osc.stop(now + duration);
-  }
-  const spinTimer = useRef(null);
-  function playSpinStart() {
-    let t = 0;
-    spinTimer.current = setInterval(() => {
-      beep(600 + Math.sin(t / 2) * 200, 0.05, "square", 0.06);
-      t++;
-    }, 120);
-  }
-  function playSpinStop() {
-    if (spinTimer.current) clearInterval(spinTimer.current);
-    spinTimer.current = null;
-  }
-  function playSuccess() {
-    beep(880, 0.1, "sine", 0.08);
-    setTimeout(() => beep(1046, 0.12, "sine", 0.08), 120);
-  }
-  function playFail() {
-    beep(220, 0.12, "sawtooth", 0.09);
-    setTimeout(() => beep(180, 0.14, "sawtooth", 0.09), 120);
-  }
+  // One shot clock at a time: calling a letter after a spin, otherwise the
+  // whole turn (spin, buy a vowel or solve). Replays don't run clocks; a
+  // recorded timeout replays like any other move.
+  const clockKey =
+    !timers?.on || replaying || spinning || summary || !phrase
+      ? null
+      : canGuess
+      ? `letter-${spinCue?.id}`
+      : `turn-${roundNo}-${active}-${wheel.guessed.length}`;
+  const [clock, clockControls] = useShotClock(
+    clockKey,
+    canGuess ? timers?.letter : timers?.solve,
+    () => play({ type: "timeout" })
+  );
 
+  // Curating the vocab list can shrink the bank under the current puzzle, and
+  // editing the current puzzle's answer counts as a new puzzle. A resumed
+  // game mounts mid-puzzle, so the first pass is skipped.
+  const resumedRef = useRef(!!saved);
   useEffect(() => {
-    setGuessed(new Set());
-    setResult(null);
-    setCanGuess(false);
-    setLetterHintsLeft(3);
-    setContextHintsLeft(3);
-    setContextHints([]);
-  }, [puzzleIdx]);
-
-  function award(delta, playerIdx = active) {
-    setPlayers((prev) => {
-      const arr = [...prev];
-      arr[playerIdx] = {
-        ...arr[playerIdx],
-        score: (arr[playerIdx].score || 0) + delta,
-      };
-      return arr;
-    });
-  }
-  function setScoreZero(playerIdx = active) {
-    setPlayers((prev) => {
-      const arr = [...prev];
-      arr[playerIdx] = { ...arr[playerIdx], score: 0 };
-      return arr;
-    });
-  }
-  function nextPlayer() {
-    setActive((a) => (players.length ? (a + 1) % players.length : 0));
-  }
-
-  // Geometry helpers for SVG ring sectors
-  function polar(r, deg) {
-    const rad = (deg * Math.PI) / 180;
-    return { x: r * Math.cos(rad), y: r * Math.sin(rad) };
-  }
-  function ringSectorPath(rInner, rOuter, a0, a1) {
-    const large = a1 - a0 > 180 ? 1 : 0;
-    const p0 = polar(rOuter, a0);
-    const p1 = polar(rOuter, a1);
-    const p2 = polar(rInner, a1);
-    const p3 = polar(rInner, a0);
-    return [
-      `M ${p0.x} ${p0.y}`,
-      `A ${rOuter} ${rOuter} 0 ${large} 1 ${p1.x} ${p1.y}`,
-      `L ${p2.x} ${p2.y}`,
-      `A ${rInner} ${rInner} 0 ${large} 0 ${p3.x} ${p3.y}`,
-      "Z",
-    ].join(" ");
-  }
-
-  // ---------- SPIN (fixed alignment with top pointer at -90°) ----------
-  function spin() {
-    if (spinning) return;
-    setSpinning(true);
-    setCanGuess(false);
-    playSpinStart();
-
-    // choose target wedge index
-    const idx = Math.floor(Math.random() * WW_WEDGES.length);
-    // angle that puts wedge center under the pointer
-    const targetAlpha = (360 - (idx * SEG + SEG / 2)) % 360;
-    const now = ((currentDeg % 360) + 360) % 360;
-    const forward = (targetAlpha - now + 360) % 360;
-
-    const extraSpins = 6 + Math.floor(Math.random() * 3); // 6–8 spins
-    const jitter = (Math.random() - 0.5) * (SEG * 0.4); // stay inside wedge
-    const delta = extraSpins * 360 + forward + jitter;
-    const target = currentDeg + delta;
-
-    if (groupRef.current) {
-      groupRef.current.style.transition =
-        "transform 3.1s cubic-bezier(.17,.67,.32,1)";
-      groupRef.current.style.transform = `rotate(${target}deg)`;
-    }
-
-    setTimeout(() => {
-      setCurrentDeg(target);
-      setSpinning(false);
-      playSpinStop();
-      const wedge = WW_WEDGES[idx];
-      setResult(wedge);
-      if (wedge.type === "lose") {
-        playFail();
-        nextPlayer();
-      } else if (wedge.type === "bankrupt") {
-        playFail();
-        setScoreZero();
-        nextPlayer();
-      } else {
-        setCanGuess(true);
-      }
-    }, 3200);
-  }
-
-  // Guessing
-  function onGuessLetter(L) {
-    if (!canGuess) return;
-    const letter = (L || "").toUpperCase();
-    if (!/^[A-Z]$/.test(letter)) return;
-    if (guessed.has(letter)) {
-      playFail();
+    if (puzzleIdx >= bank.length && puzzleIdx > 0) {
+      send({ type: "reset", puzzleIdx: 0 });
       return;
     }
-    const set = new Set(guessed);
-    set.add(letter);
-    const matches = phrase.split("").filter((ch) => ch === letter).length;
-
-    let per = 0;
-    let bonus = 0;
-    if (result?.type === "points") per = result.value;
-    if (result?.type === "double") per = 200;
-    if (result?.type === "bonus") {
-      per = 100;
-      if (matches > 0) bonus = 200;
-    }
-
-    if (matches > 0) {
-      award(matches * per + bonus);
-      playSuccess();
-      setGuessed(set);
-      if (remainingLetters - matches <= 0) {
-        award(200);
-        confetti({ particleCount: 160, spread: 70, origin: { y: 0.6 } });
-        setTimeout(
-          () => setPuzzleIdx((i) => (bank.length ? (i + 1) % bank.length : 0)),
-          600
-        );
-      } else {
-        setCanGuess(false);
-      }
-    } else {
-      setGuessed(set);
-      playFail();
-      nextPlayer();
-      setCanGuess(false);
+    if (resumedRef.current) {
+      resumedRef.current = false;
+      return;
     }
-  }
+    send({ type: "reset" });
+  }, [bank.length, phrase]); // eslint-disable-line
 
-  function onSolve(e) {
-    e.preventDefault();
-    const guess = cleanCompare(e.target.elements.solve.value);
-    e.target.reset();
-    if (!guess) return;
-    if (guess === cleanCompare(phrase)) {
-      award(500);
-      playSuccess();
-      confetti({ particleCount: 200, spread: 80, origin: { y: 0.6 } });
-      setTimeout(
-        () => setPuzzleIdx((i) => (bank.length ? (i + 1) % bank.length : 0)),
-        400
-      );
-    } else {
-      award(-100);
-      playFail();
-      nextPlayer();
-    }
-  }
+  useEffect(() => {
+    onSave?.({
+      active,
+      puzzleIdx,
+      guessed: wheel.guessed,
+      letterHintsLeft,
+      contextHintsLeft,
+      contextHints,
+      currentDeg,
+      result,
+      canGuess,
+      roundNo,
+      roundBank,
+      summary,
+      actions,
+      rngState: wheel.rngState,
+    });
+  }, [wheel, actions]); // eslint-disable-line
 
-  // ---------- Hint systems ----------
-  // 1) Reveal Letter
-  function useLetterHint() {
-    if (letterHintsLeft <= 0 || !phrase) return;
-    const remaining = phrase
-      .split("")
-      .map((ch) => ch)
-      .filter((ch) => /[A-Z]/.test(ch) && !guessed.has(ch));
-
-    if (!remaining.length) return;
-
-    const vowels = new Set(["A", "E", "I", "O", "U"]);
-    const consonants = remaining.filter((ch) => !vowels.has(ch));
-    const pool = consonants.length ? consonants : remaining;
-    const pick = pool[Math.floor(Math.random() * pool.length)];
-
-    const set = new Set(guessed);
-    set.add(pick);
-    setGuessed(set);
-    setLetterHintsLeft((h) => h - 1);
-    playSuccess();
-
-    const newlyRevealed = phrase.split("").filter((ch) => ch === pick).length;
-    if (remainingLetters - newlyRevealed <= 0) {
-      award(200);
-      confetti({ particleCount: 160, spread: 70, origin: { y: 0.6 } });
-      setTimeout(
-        () => setPuzzleIdx((i) => (bank.length ? (i + 1) % bank.length : 0)),
-        600
-      );
-    }
-  }
+  useEffect(() => {
+    onDisplay?.({
+      deg: currentDeg,
+      spin: spinning ? spinCue : null,
+      wedges: wheelSetup.wedges.map(({ id, label, color, weight }) => ({
+        id,
+        label,
+        color,
+        weight,
+      })),
+      result: result ? wedgeLabel(result) : "",
+      canGuess,
+      active,
+      masked,
+      category: puzzle?.category || "",
+      misses,
+      contextHints,
+      roundBank,
+      summary,
+      clock,
+    });
+  }, [wheelSetup, wheel, masked, misses, clock]); // eslint-disable-line
+  useEffect(() => () => onDisplay?.(null), []); // eslint-disable-line
 
-  // 2) Context Hint — uses vocab definition with masking
-  function maskTermInText(text, term) {
-    if (!text) return "";
-    try {
-      const re = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "ig");
-      return text.replace(re, "_____");
-    } catch {
-      return text;
+  // Every player decision goes through play(), which records it, preceded by
+  // a "setup" entry whenever the wheel changed since the last one. Replaying
+  // the record on the same seed reproduces the game spin for spin.
+  function play(action) {
+    if (action.type === "setup") {
+      setActions((prev) => [...prev, action]);
+      const setup = { wedges: action.wedges, vowelCost: action.vowelCost };
+      setReplaying((r) => r && { ...r, setup });
+      return;
     }
+    setActions((prev) => {
+      const last = prev.filter((a) => a.type === "setup").pop();
+      const same =
+        last &&
+        JSON.stringify([last.wedges, last.vowelCost]) ===
+          JSON.stringify([wheelSetup.wedges, wheelSetup.vowelCost]);
+      return same
+        ? [...prev, action]
+        : [...prev, { type: "setup", ...wheelSetup }, action];
+    });
+    if (action.type === "spin" || action.type === "fling")
+      setEditingWheel(false);
+    send(action);
   }
-  function firstWords(s, n = 10) {
-    const parts = String(s || "")
-      .split(/\s+/)
-      .filter(Boolean);
-    const t = parts.slice(0, n).join(" ");
-    return parts.length > n ? t + "…" : t;
-  }
-  function useContextHint() {
-    if (contextHintsLeft <= 0 || !phrase) return;
-    const def = defMap[phrase] || "";
-    let masked = maskTermInText(def, phrase);
-    if (!masked) masked = "A key term from the article.";
-
-    const step = 3 - contextHintsLeft; // 0,1,2
-    let text = "";
-    if (step === 0)
-      text = `It’s a ${phrase.length}-letter word. Clue: ${firstWords(
-        masked,
-        8
-      )}`;
-    else if (step === 1) text = `Think about: ${masked}`;
-    else {
-      const first = phrase[0];
-      text = `More specific: ${masked} (starts with “${first}”).`;
-    }
-
-    setContextHints((prev) => [...prev, text]);
-    setContextHintsLeft((h) => h - 1);
-    playSuccess();
-  }
-
-  // Label helpers
-  function fontSizeFor(label) {
-    const base = 26; // tuned for the smaller wheel
-    const len = String(label).length;
-    if (len <= 6) return base + 4;
-    if (len <= 10) return base;
-    return base - 4;
-  }
-  // NEW: wrap special labels to two lines
-  function wrapWheelLabel(label) {
-    const L = String(label).toUpperCase();
-    if (L.includes("LOSE A TURN")) return ["LOSE", "A TURN"];
-    if (L.includes("BONUS")) {
-      const rest = L.replace(/BONUS/i, "").trim(); // "+$200" / "+200"
-      return ["BONUS", rest || "+$200"];
+  // One recorded move every 0.7s, waiting out each spin.
+  useEffect(() => {
+    if (!replaying || spinning) return;
+    if (replaying.step >= replaying.actions.length) {
+      setReplaying(null);
+      return;
     }
-    if (L.includes("BANKRUPT")) return ["BANK", "RUPT"]; // compact and readable
-    return [label];
-  }
+    const next = replaying.actions[replaying.step];
+    const timer = setTimeout(
+      () => {
+        play(next);
+        setReplaying((r) => r && { ...r, step: r.step + 1 });
+      },
+      next.type === "setup" ? 0 : 700
+    );
+    return () => clearTimeout(timer);
+  }, [replaying, spinning]); // eslint-disable-line
 
   return (
     <section className="border rounded-2xl p-4 sm:p-6 bg-white shadow-sm">
-      <div className="flex items-center justify-between">
+      <div className="flex flex-wrap items-center justify-between gap-2">
         <h3 className="font-semibold text-xl">Wonder Wheel</h3>
-        {/* Scoreboard */}
-        <div className="flex items-center gap-2 overflow-x-auto no-scrollbar pl-2">
+        <button
+          className="ml-auto px-3 py-1.5 rounded-lg border bg-white disabled:opacity-60"
+          onClick={() => onReplay?.(actions)}
+          disabled={!actions.length || !!replaying}
+          title="Start over on the same seed and play back every spin, guess and hint"
+        >
+          ⟲ Replay game
+        </button>
+        <button
+          className={cx(
+            "px-3 py-1.5 rounded-lg border",
+            editingWheel ? "bg-black text-white" : "bg-white"
+          )}
+          onClick={() => setEditingWheel((v) => !v)}
+          disabled={spinning || !!replaying}
+          title="Add, remove and resize wedges, change odds, load presets"
+        >
+          {editingWheel ? "✓ Done editing" : "✎ Edit wheel"}
+        </button>
+      </div>
+      {replaying && (
+        <div className="mt-3 flex items-center gap-3 rounded-xl border border-indigo-200 bg-indigo-50 px-3 py-2 text-sm">
+          <span>
+            Replaying step{" "}
+            {Math.min(replaying.step + 1, replaying.actions.length)} of{" "}
+            {replaying.actions.length}…
+          </span>
+          <button
+            className="px-2 py-1 rounded-lg border bg-white"
+            onClick={() => setReplaying(null)}
+          >
+            Stop
+          </button>
+        </div>
+      )}
+      {editingWheel && (
+        <WheelEditor
+          wedges={wedges}
+          setWedges={setWedges}
+          vowelCost={vowelCost}
+          setVowelCost={setVowelCost}
+        />
+      )}
+
+      {/* Scoreboard */}
+      <div className="mt-3">
+        <PlayerRoster
+          players={players}
+          setPlayers={setPlayers}
+          active={active}
+          setActive={(player) => play({ type: "turn", player })}
+          activeIcon="🎯"
+          activeClass="bg-emerald-400 border-emerald-500 text-gray-900"
+          unit={unit}
+        />
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-xs uppercase tracking-wide text-gray-500">
+            Round {roundNo} bank
+          </span>
           {players.map((p, i) => (
-            <button
-              key={i}
-              onClick={() => setActive(i)}
+            <span
+              key={p.id}
               className={cx(
-                "whitespace-nowrap rounded-full px-3 py-1.5 border text-sm font-semibold",
+                "px-2 py-0.5 rounded-full border",
                 i === active
-                  ? "bg-emerald-400 border-emerald-500 text-gray-900"
-                  : "bg-white border-gray-300"
+                  ? "bg-emerald-50 border-emerald-300 font-semibold"
+                  : "bg-gray-50"
               )}
-              title="Set active player"
             >
-              {(i === active ? "🎯 " : "") + (p.name || `Player ${i + 1}`)} · $
-              {p.score || 0}
-            </button>
+              {p.name}: ${bankOf(i)}
+            </span>
           ))}
-          <button
-            className="whitespace-nowrap rounded-full px-3 py-1.5 border text-sm font-semibold bg-white"
-            onClick={() =>
-              setPlayers((prev) => [
-                ...prev,
-                { name: `Player ${prev.length + 1}`, score: 0 },
-              ])
-            }
-          >
-            + Add
-          </button>
+          <span className="text-xs text-gray-500">
+            Only the solver banks it. BANKRUPT clears just this round.
+          </span>
         </div>
-      </div>
-
-      <div className="mt-4 grid lg:grid-cols-2 gap-8 items-center">
-        {/* WHEEL (SVG) */}
-        <div
-          className="relative mx-auto"
-          style={{ width: SIZE, maxWidth: "100%" }}
-        >
-          {/* pointer at top */}
-          <div
-            style={{
-              position: "absolute",
-              top: -16,
-              left: "50%",
-              transform: "translateX(-50%)",
-              width: 0,
-              height: 0,
-              borderLeft: "12px solid transparent",
-              borderRight: "12px solid transparent",
-              borderBottom: "22px solid #111827",
-              zIndex: 5,
-            }}
-          />
-          <svg
-            width={SIZE}
-            height={SIZE}
-            viewBox={`${-R} ${-R} ${SIZE} ${SIZE}`}
-            style={{
-              display: "block",
-              background: "#ffffff",
-              borderRadius: "50%",
-              boxShadow: "0 14px 38px rgba(0,0,0,.18)",
-              border: "10px solid white",
-            }}
-          >
-            <g ref={groupRef}>
-              {/* Wedges */}
-              {WW_WEDGES.map((w, i) => {
-                const a0 = i * SEG - 90; // start angle (top = -90deg)
-                const a1 = a0 + SEG;
-                const mid = (a0 + a1) / 2;
-
-                // word wrap + font sizing
-                const lines = wrapWheelLabel(w.label);
-                let fs = fontSizeFor(w.label);
-                if (lines.length > 1) fs = Math.max(18, fs - 2);
-                const lineHeight = fs * 0.9;
-                const dy0 = (-lineHeight * (lines.length - 1)) / 2;
-
-                const isDark = w.color === "#111827" || w.color === "#6b7280";
-
-                return (
-                  <g key={i}>
-                    <path
-                      d={ringSectorPath(R_INNER, R_OUTER, a0, a1)}
-                      fill={w.color}
-                      stroke="#ffffff"
-                      strokeWidth={2}
-                    />
-                    {/* Label near outer rim, tangent; pull slightly inward if multi-line */}
-                    <g
-                      transform={`rotate(${mid}) translate(${
-                        R_OUTER - (lines.length > 1 ? 48 : 40)
-                      },0) rotate(90)`}
-                    >
-                      <text
-                        textAnchor="middle"
-                        dominantBaseline="middle"
-                        style={{
-                          fontWeight: 900,
-                          fontSize: fs,
-                          letterSpacing: "0.02em",
-                          fill: "#ffffff",
-                          paintOrder: "stroke",
-                          stroke: isDark ? "#000000" : "rgba(0,0,0,.75)",
-                          strokeWidth: 4,
-                        }}
-                      >
-                        {lines.map((ln, j) => (
-                          <tspan key={j} x="0" dy={j === 0 ? dy0 : lineHeight}>
-                            {ln}
-                          </tspan>
-                        ))}
-                      </text>
-                    </g>
-                  </g>
-                );
-              })}
+      </div>
 
-              {/* Center hub */}
-              <circle
-                r={R_INNER}
-                fill="#111827"
-                stroke="#e5e7eb"
-                strokeWidth="2"
-              />
-              <circle r={R_INNER - 8} fill="#1f2937" />
-            </g>
-          </svg>
+      <div className="mt-4 grid lg:grid-cols-2 gap-8 items-center">
+        {/* WHEEL (SVG) */}
+        <div
+          className="relative mx-auto"
+          style={{ width: WW_SIZE, maxWidth: "100%" }}
+        >
+          <WheelFace
+            wedges={wheelSetup.wedges}
+            deg={currentDeg}
+            spin={spinning ? spinCue : null}
+            onFling={
+              canSpin ? (deg, v) => play({ type: "fling", deg, v }) : undefined
+            }
+            onPeg={playTick}
+          />
 
           <div className="mt-3 text-center">
             <button
-              onClick={spin}
-              disabled={spinning}
+              onClick={() => play({ type: "spin" })}
+              disabled={!canSpin}
               className="px-4 py-2 rounded-xl text-white"
               style={{ background: "linear-gradient(90deg,#22d3ee,#a78bfa)" }}
             >
               {spinning ? "Spinning…" : "Spin Wonder Wheel"}
             </button>
+            <div className="mt-1 text-xs text-gray-500">
+              {flingNote || "…or swipe the wheel to spin it yourself."}
+            </div>
             {result && (
               <div className="mt-2 text-sm">
-                Result: <b>{result.label}</b>{" "}
-                {canGuess ? "— type a letter!" : ""}
+                Result: <b>{wedgeLabel(result)}</b>{" "}
+                {canGuess ? "— call a consonant!" : ""}
+              </div>
+            )}
+            {clock && (
+              <div className="mt-2">
+                <ShotClock
+                  clock={clock}
+                  controls={clockControls}
+                  label={`${players[active]?.name || "Player"}: ${
+                    canGuess ? "call a consonant" : "spin, buy or solve"
+                  }`}
+                />
+              </div>
+            )}
+            {!consonantsLeft && phrase && !summary && (
+              <div className="mt-2 text-sm text-amber-700">
+                Only vowels are left: buy one or solve.
               </div>
             )}
           </div>
@@ -1093,7 +7055,7 @@ function WonderWheel({ vocab, players, setPlayers }) {
               <div className="flex gap-2">
                 {/* Context Hint */}
                 <button
-                  onClick={useContextHint}
+                  onClick={() => play({ type: "context" })}
                   disabled={contextHintsLeft <= 0 || !phrase}
                   className={cx(
                     "px-3 py-1.5 rounded-lg border text-sm font-semibold",
@@ -1108,7 +7070,7 @@ function WonderWheel({ vocab, players, setPlayers }) {
 
                 {/* Reveal Letter */}
                 <button
-                  onClick={useLetterHint}
+                  onClick={() => play({ type: "reveal" })}
                   disabled={letterHintsLeft <= 0 || !phrase}
                   className={cx(
                     "px-3 py-1.5 rounded-lg border text-sm font-semibold",
@@ -1123,179 +7085,975 @@ function WonderWheel({ vocab, players, setPlayers }) {
               </div>
             </div>
 
-            {/* Show any context hints issued */}
-            {contextHints.length > 0 && (
-              <div className="mt-2 flex flex-wrap gap-2">
-                {contextHints.map((h, i) => (
-                  <span
+            {/* Show any context hints issued */}
+            {contextHints.length > 0 && (
+              <div className="mt-2 flex flex-wrap gap-2">
+                {contextHints.map((h, i) => (
+                  <span
+                    key={i}
+                    className="inline-block px-3 py-1 rounded-full bg-amber-100 text-amber-900 border border-amber-200 text-sm"
+                  >
+                    {h}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <div className="mt-2">
+              <PuzzleBoard masked={masked} category={puzzle?.category} />
+            </div>
+
+            <div className="mt-3 text-xs text-gray-600 flex items-center gap-3">
+              <span>
+                Letters remaining: <b>{remainingLetters}</b>
+              </span>
+              <span className="text-gray-400">|</span>
+              <span>
+                Misses:{" "}
+                {misses.length ? (
+                  misses.join(", ")
+                ) : (
+                  <span className="text-gray-400">None</span>
+                )}
+              </span>
+            </div>
+          </div>
+
+          {/* Letter board: called, callable after a spin, or buyable */}
+          <div className="mt-4">
+            <div
+              className="grid gap-1"
+              style={{ gridTemplateColumns: "repeat(13, minmax(0, 1fr))" }}
+            >
+              {WW_ALPHABET.map((L) => {
+                const vowel = WW_VOWELS.has(L);
+                const called = guessed.has(L);
+                const usable = called
+                  ? false
+                  : vowel
+                  ? canBuyVowel && bankOf(active) >= wheelSetup.vowelCost
+                  : canGuess;
+                return (
+                  <button
+                    key={L}
+                    onClick={() =>
+                      play({ type: vowel ? "vowel" : "letter", letter: L })
+                    }
+                    disabled={!usable}
+                    className={cx(
+                      "rounded-md border py-1 text-sm font-bold leading-tight",
+                      called
+                        ? phrase.includes(L)
+                          ? "bg-gray-100 text-gray-400 line-through"
+                          : "bg-red-50 text-red-300 line-through"
+                        : vowel
+                        ? usable
+                          ? "bg-amber-100 border-amber-400 text-amber-900 hover:bg-amber-200"
+                          : "bg-amber-50 border-amber-200 text-amber-400"
+                        : usable
+                        ? "bg-emerald-50 border-emerald-400 text-emerald-900 hover:bg-emerald-100"
+                        : "bg-white text-gray-700"
+                    )}
+                    title={
+                      called
+                        ? "Already called"
+                        : vowel
+                        ? `Buy for $${wheelSetup.vowelCost}`
+                        : "Call after a spin"
+                    }
+                  >
+                    {L}
+                    {vowel && !called && (
+                      <span className="block text-xs font-normal">
+                        ${wheelSetup.vowelCost}
+                      </span>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Spin, then call a consonant. Vowels cost ${wheelSetup.vowelCost}{" "}
+              from the round bank and can be bought instead of spinning. Calling
+              a letter twice loses the turn.
+            </p>
+            {note && (
+              <p className="mt-1 text-sm font-semibold text-amber-700">
+                {note}
+              </p>
+            )}
+          </div>
+
+          {/* Type a letter */}
+          <form
+            className="mt-4 flex gap-2 items-center"
+            onSubmit={(e) => {
+              e.preventDefault();
+              const inp = e.currentTarget.elements.letter;
+              const L = String(inp.value || "")
+                .trim()
+                .slice(0, 1)
+                .toUpperCase();
+              inp.value = "";
+              if (!/^[A-Z]$/.test(L)) return;
+              play({ type: "letter", letter: L });
+            }}
+          >
+            <div>
+              <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">
+                Type a letter
+              </div>
+              <input
+                name="letter"
+                maxLength={1}
+                className="border rounded-md px-3 py-2 w-24 text-center text-lg"
+                placeholder="A"
+                disabled={!canGuess}
+              />
+            </div>
+            <button
+              className="px-3 py-2 rounded-md text-white"
+              style={{
+                background: canGuess
+                  ? "linear-gradient(90deg,#34d399,#60a5fa)"
+                  : "#cbd5e1",
+              }}
+              disabled={!canGuess}
+            >
+              Guess
+            </button>
+          </form>
+
+          {/* Solve */}
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              const guess = cleanCompare(e.target.elements.solve.value);
+              e.target.reset();
+              if (guess) play({ type: "solve", guess });
+            }}
+            className="mt-4 flex gap-2"
+          >
+            <input
+              name="solve"
+              className="border rounded-md px-3 py-2 flex-1"
+              placeholder="Type full answer to solve…"
+              disabled={spinning}
+            />
+            <button
+              className="px-3 py-2 rounded-md text-white"
+              style={{
+                background: spinning
+                  ? "#cbd5e1"
+                  : "linear-gradient(90deg,#34d399,#60a5fa)",
+              }}
+              disabled={spinning}
+            >
+              Solve (bank + ${WW_SOLVE_BONUS})
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {summary && (
+        <WheelRoundSummary
+          summary={summary}
+          players={players}
+          onNext={() => play({ type: "next" })}
+        />
+      )}
+    </section>
+  );
+}
+
+function WheelRoundSummary({ summary, players, onNext }) {
+  const solver = summary.rows.find((row) => row.id === summary.solver);
+  const scoreOf = (id) => players.find((p) => p.id === id)?.score || 0;
+  return (
+    <div
+      className="fixed inset-0 flex items-center justify-center p-4 z-30"
+      style={{ background: "rgba(0,0,0,.5)" }}
+    >
+      <div className="bg-white rounded-2xl w-full max-w-lg p-6 shadow-2xl">
+        <div className="text-xs uppercase tracking-wide text-gray-500">
+          Round {summary.round} summary
+        </div>
+        <div className="mt-1 text-2xl font-black tracking-wide">
+          {summary.puzzle}
+        </div>
+        <p className="mt-1 text-sm text-gray-600">
+          {solver
+            ? `${solver.name} solved it and banked $${solver.banked}.`
+            : "Nobody solved it, so no round money was banked."}
+        </p>
+        <table className="mt-4 w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase tracking-wide text-gray-500">
+              <th className="py-1">Player</th>
+              <th className="py-1 text-right">Round bank</th>
+              <th className="py-1 text-right">Banked</th>
+              <th className="py-1 text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.rows.map((row) => (
+              <tr key={row.id} className="border-t">
+                <td className="py-1 font-semibold">
+                  {row.id === summary.solver ? "🏆 " : ""}
+                  {row.name}
+                </td>
+                <td className="py-1 text-right">${row.round}</td>
+                <td
+                  className={cx(
+                    "py-1 text-right",
+                    row.banked
+                      ? "text-emerald-700 font-semibold"
+                      : "text-gray-400"
+                  )}
+                >
+                  {row.banked ? `+$${row.banked}` : "—"}
+                </td>
+                <td className="py-1 text-right">${scoreOf(row.id)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          className="mt-5 px-4 py-2 rounded-xl text-white"
+          style={{ background: "linear-gradient(90deg,#22d3ee,#a78bfa)" }}
+          onClick={onNext}
+        >
+          Next puzzle ▶
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Score history drawer ----------
+const signed = (n) => (n > 0 ? `+${n}` : `−${Math.abs(n)}`);
+
+function ScoreLedger({ players, unit, log, redo, dispatch }) {
+  const [open, setOpen] = useState(false);
+  const [player, setPlayer] = useState(0);
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  const last = log[log.length - 1];
+  const next = redo[redo.length - 1];
+  const describe = (e) => `${e.name} ${signed(e.delta)} · ${e.reason}`;
+
+  function adjust(sign) {
+    const n = Math.round(Number(amount));
+    if (!Number.isFinite(n) || n <= 0 || !players[player]) return;
+    dispatch({
+      type: "score",
+      playerId: players[player].id,
+      delta: sign * n,
+      reason: reason.trim() || "Manual adjustment",
+      game: "manual",
+    });
+    setAmount("");
+    setReason("");
+  }
+
+  return (
+    <>
+      <div className="flex items-center gap-2">
+        <button
+          className="px-3 py-1.5 rounded-lg border bg-white text-gray-800 disabled:opacity-40"
+          disabled={!last}
+          onClick={() => dispatch({ type: "undo" })}
+          title={last ? `Undo: ${describe(last)}` : "Nothing to undo"}
+        >
+          ↶ Undo
+        </button>
+        <button
+          className="px-3 py-1.5 rounded-lg border bg-white text-gray-800 disabled:opacity-40"
+          disabled={!next}
+          onClick={() => dispatch({ type: "redo" })}
+          title={next ? `Redo: ${describe(next)}` : "Nothing to redo"}
+        >
+          ↷ Redo
+        </button>
+        <button
+          className="px-3 py-1.5 rounded-lg border bg-white text-gray-800"
+          onClick={() => setOpen(true)}
+        >
+          🧾 Score history ({log.length})
+        </button>
+      </div>
+
+      {open && (
+        <div
+          className="fixed inset-0 flex justify-end z-30"
+          style={{ background: "rgba(0,0,0,.35)" }}
+          onClick={() => setOpen(false)}
+        >
+          <aside
+            className="bg-white w-full max-w-md h-full shadow-2xl flex flex-col text-gray-900"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="p-4 border-b flex items-center justify-between">
+              <h3 className="font-semibold text-lg">Score history</h3>
+              <button
+                className="text-gray-500 hover:text-black"
+                onClick={() => setOpen(false)}
+              >
+                ✕
+              </button>
+            </div>
+
+            <form
+              className="p-4 border-b space-y-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                adjust(1);
+              }}
+            >
+              <div className="text-sm font-semibold">Adjust a score</div>
+              <div className="flex gap-2">
+                <select
+                  value={player}
+                  onChange={(e) => setPlayer(Number(e.target.value))}
+                  className="border rounded-md px-2 py-1.5 flex-1"
+                >
+                  {players.map((p, i) => (
+                    <option key={i} value={i}>
+                      {p.name || `Player ${i + 1}`} (
+                      {formatPoints(p.score || 0, unit)})
+                    </option>
+                  ))}
+                </select>
+                <input
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  inputMode="numeric"
+                  placeholder="Amount"
+                  className="border rounded-md px-2 py-1.5 w-24"
+                />
+              </div>
+              <input
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason (e.g. accepted a spelling variant)"
+                className="border rounded-md px-2 py-1.5 w-full"
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  className="px-3 py-1.5 rounded-lg bg-green-600 text-white"
+                >
+                  + Add
+                </button>
+                <button
+                  type="button"
+                  className="px-3 py-1.5 rounded-lg bg-rose-600 text-white"
+                  onClick={() => adjust(-1)}
+                >
+                  − Subtract
+                </button>
+              </div>
+            </form>
+
+            <ol className="flex-1 overflow-y-auto p-4 space-y-2">
+              {!log.length && (
+                <li className="text-sm text-gray-500">No score changes yet.</li>
+              )}
+              {[...log].reverse().map((e) => (
+                <li
+                  key={e.id}
+                  className="flex items-start justify-between gap-3 text-sm"
+                >
+                  <div>
+                    <div>
+                      <b>{e.name}</b> · {e.reason}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {LEDGER_GAMES[e.game] || e.game} ·{" "}
+                      {new Date(e.at).toLocaleTimeString()}
+                    </div>
+                  </div>
+                  <span
+                    className={cx(
+                      "font-bold whitespace-nowrap",
+                      e.delta > 0 ? "text-green-700" : "text-rose-700"
+                    )}
+                  >
+                    {signed(e.delta)}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </aside>
+        </div>
+      )}
+    </>
+  );
+}
+
+// ---------- Audience display (projector window) ----------
+// Renders only what the class may see, from snapshots sent by the teacher's
+// window. Nothing here can change the game.
+function AudienceDisplay() {
+  useTailwindCdn();
+  const [state, setState] = useState(null);
+  const supported = typeof BroadcastChannel !== "undefined";
+
+  useEffect(() => {
+    document.title = "Plug & Play Lesson · Audience";
+    const ch = openDisplayChannel();
+    if (!ch) return;
+    ch.onmessage = (e) => {
+      if (e.data?.type === "state") setState(e.data.state);
+    };
+    ch.postMessage({ type: "hello" });
+    return () => ch.close();
+  }, []);
+
+  const { players = [], unit, trivia, wheel, focus } = state || {};
+  const showWheel = wheel && (focus === "wheel" || !trivia);
+  const active = showWheel ? wheel.active : trivia?.active;
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-6 flex flex-col gap-6">
+      {players.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-3">
+          {players.map((p, i) => (
+            <div
+              key={p.id || i}
+              className={cx(
+                "rounded-2xl px-5 py-2 text-2xl font-bold border-2",
+                i === active
+                  ? "bg-yellow-400 text-gray-900 border-yellow-300"
+                  : "bg-gray-800 border-gray-700"
+              )}
+              style={{ boxShadow: `inset 8px 0 0 ${p.color || "transparent"}` }}
+            >
+              {p.avatar ? `${p.avatar} ` : ""}
+              {p.name} · {formatPoints(p.score || 0, unit)}
+              {showWheel && (
+                <span className="ml-2 text-base font-semibold opacity-75">
+                  round ${wheel.roundBank?.[p.id] || 0}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!state && (
+        <div className="flex-1 flex items-center justify-center text-center text-2xl text-gray-300">
+          {supported
+            ? "Waiting for the teacher’s window… open a lesson there to start."
+            : "This browser can’t link windows (no BroadcastChannel support)."}
+        </div>
+      )}
+
+      {state && !trivia && !wheel && (
+        <div className="flex-1 flex items-center justify-center text-2xl text-gray-300">
+          Get ready…
+        </div>
+      )}
+
+      {trivia && !showWheel && (
+        <div
+          className="flex-1 grid gap-3"
+          style={{
+            gridTemplateColumns: `repeat(${trivia.categories.length}, minmax(0, 1fr))`,
+          }}
+        >
+          {trivia.categories.map((cat, c) => (
+            <div key={c} className="flex flex-col gap-3">
+              <div className="bg-blue-900 text-yellow-300 rounded-xl py-4 px-2 text-center text-xl font-black uppercase tracking-wide border border-blue-700">
+                {cat.title}
+              </div>
+              {cat.clues.map((cl) => (
+                <div
+                  key={cl.id}
+                  className={cx(
+                    "flex-1 rounded-xl flex items-center justify-center text-4xl font-extrabold border",
+                    cl.used
+                      ? "bg-gray-800 border-gray-700"
+                      : "bg-blue-800 text-yellow-300 border-blue-600"
+                  )}
+                  style={{ minHeight: "5rem" }}
+                >
+                  {cl.used ? "" : formatPoints(cl.value, trivia.unit)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {trivia?.clue && !showWheel && (
+        <div
+          className="fixed inset-0 flex items-center justify-center p-10 z-30"
+          style={{ background: "#1e3a8a" }}
+        >
+          <div className="text-center max-w-5xl">
+            <div className="text-2xl uppercase tracking-widest text-yellow-300 font-bold">
+              {trivia.clue.category} ·{" "}
+              {trivia.clue.dailyDouble
+                ? "⭐ Daily Double"
+                : formatPoints(trivia.clue.value, trivia.unit)}
+            </div>
+            <div className="mt-8 text-5xl font-bold leading-tight">
+              {trivia.clue.question ||
+                (trivia.clue.dailyDouble ? "⭐ DAILY DOUBLE ⭐" : "")}
+            </div>
+            {trivia.buzz && !trivia.clue.result && (
+              <div className="mt-8 text-4xl font-black text-yellow-300">
+                {trivia.buzz.lockedIn
+                  ? `🔔 ${
+                      players.find((p) => p.id === trivia.buzz.lockedIn)
+                        ?.name || ""
+                    }`
+                  : trivia.buzz.open
+                  ? "🔔 Buzz in!"
+                  : ""}
+              </div>
+            )}
+            {trivia.clue.result && (
+              <div className="mt-8 text-4xl font-black">
+                {trivia.clue.result}
+              </div>
+            )}
+            {trivia.clock && !trivia.clue.result && (
+              <div className="mt-8 flex justify-center">
+                <CountdownRing clock={trivia.clock} size={120} />
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {trivia?.final && !showWheel && (
+        <div
+          className="fixed inset-0 flex items-center justify-center p-10 z-30"
+          style={{ background: "#1e3a8a" }}
+        >
+          <div className="text-center">
+            <div className="text-2xl uppercase tracking-widest text-yellow-300 font-bold">
+              Final Trivia
+            </div>
+            <div className="mt-6 text-6xl font-black uppercase">
+              {trivia.final}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showWheel && (
+        <div className="flex-1 grid lg:grid-cols-2 gap-10 items-center">
+          <div className="mx-auto">
+            <WheelFace
+              wedges={wheel.wedges}
+              deg={wheel.deg}
+              spin={wheel.spin}
+              size={520}
+            />
+            {wheel.result && (
+              <div className="mt-4 text-center text-3xl font-black text-yellow-300">
+                {wheel.result}
+              </div>
+            )}
+            {wheel.clock && (
+              <div className="mt-4 flex justify-center">
+                <CountdownRing clock={wheel.clock} size={100} />
+              </div>
+            )}
+          </div>
+          <div>
+            <PuzzleBoard
+              masked={wheel.masked}
+              category={wheel.category}
+              tileFont={40}
+            />
+            {wheel.contextHints.length > 0 && (
+              <div className="mt-6 space-y-2">
+                {wheel.contextHints.map((h, i) => (
+                  <div
                     key={i}
-                    className="inline-block px-3 py-1 rounded-full bg-amber-100 text-amber-900 border border-amber-200 text-sm"
+                    className="inline-block mr-2 px-4 py-2 rounded-full bg-amber-100 text-amber-900 text-xl"
                   >
                     {h}
-                  </span>
+                  </div>
                 ))}
               </div>
             )}
+            <div className="mt-6 text-2xl text-gray-300">
+              Misses: {wheel.misses.length ? wheel.misses.join(", ") : "none"}
+            </div>
+          </div>
+        </div>
+      )}
 
-            <div className="flex flex-wrap gap-1 mt-2">
-              {masked.split("").map((ch, i) => (
-                <div
-                  key={i}
-                  style={{
-                    width: 42,
-                    height: 50,
-                    display: "flex",
-                    alignItems: "center",
-                    justifyContent: "center",
-                    borderRadius: 10,
-                    background: "#f1f5f9",
-                    border: "1px solid #e2e8f0",
-                    fontWeight: 800,
-                    fontSize: 18,
-                  }}
-                >
-                  {ch}
+      {showWheel && wheel.summary && (
+        <div
+          className="fixed inset-0 flex items-center justify-center p-10 z-30"
+          style={{ background: "#1e3a8a" }}
+        >
+          <div className="text-center">
+            <div className="text-2xl uppercase tracking-widest text-yellow-300 font-bold">
+              Round {wheel.summary.round}
+            </div>
+            <div className="mt-4 text-6xl font-black uppercase">
+              {wheel.summary.puzzle}
+            </div>
+            <div className="mt-8 space-y-2 text-3xl">
+              {wheel.summary.rows.map((row) => (
+                <div key={row.id}>
+                  {row.id === wheel.summary.solver ? "🏆 " : ""}
+                  <b>{row.name}</b> ·{" "}
+                  {row.banked
+                    ? `+$${row.banked}`
+                    : row.round
+                    ? `$${row.round} lost`
+                    : "—"}
                 </div>
               ))}
             </div>
-
-            <div className="mt-3 text-xs text-gray-600 flex items-center gap-3">
-              <span>
-                Letters remaining: <b>{remainingLetters}</b>
-              </span>
-              <span className="text-gray-400">|</span>
-              <span>
-                Misses:{" "}
-                {misses.length ? (
-                  misses.join(", ")
-                ) : (
-                  <span className="text-gray-400">None</span>
-                )}
-              </span>
-            </div>
           </div>
+        </div>
+      )}
+    </div>
+  );
+}
 
-          {/* Type a letter */}
-          <form
-            className="mt-4 flex gap-2 items-center"
-            onSubmit={(e) => {
-              e.preventDefault();
-              const inp = e.currentTarget.elements.letter;
-              const L = String(inp.value || "")
-                .trim()
-                .slice(0, 1)
-                .toUpperCase();
-              inp.value = "";
-              if (!/^[A-Z]$/.test(L)) return;
-              onGuessLetter(L);
-            }}
-          >
-            <div>
-              <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">
-                Type a letter
-              </div>
-              <input
-                name="letter"
-                maxLength={1}
-                className="border rounded-md px-3 py-2 w-24 text-center text-lg"
-                placeholder="A"
-                disabled={!canGuess}
-              />
-            </div>
-            <button
-              className="px-3 py-2 rounded-md text-white"
-              style={{
-                background: canGuess
-                  ? "linear-gradient(90deg,#34d399,#60a5fa)"
-                  : "#cbd5e1",
-              }}
-              disabled={!canGuess}
-            >
-              Guess
-            </button>
-          </form>
+// ---------- Buzzer tab ----------
+// A big buzz button for one player or team. It only sends buzzes; the
+// teacher's window decides who got in first and reports back.
+function BuzzerPad() {
+  useTailwindCdn();
+  const [state, setState] = useState(null);
+  const [me, setMe] = useState(
+    () => sessionStorage.getItem("pp.buzzerPlayer") || ""
+  );
+  const channelRef = useRef(null);
 
-          {/* Solve */}
-          <form onSubmit={onSolve} className="mt-4 flex gap-2">
-            <input
-              name="solve"
-              className="border rounded-md px-3 py-2 flex-1"
-              placeholder="Type full answer to solve…"
-            />
+  useEffect(() => {
+    document.title = "Plug & Play Lesson · Buzzer";
+    const ch = openDisplayChannel();
+    channelRef.current = ch;
+    if (!ch) return;
+    ch.onmessage = (e) => {
+      if (e.data?.type === "state") setState(e.data.state);
+    };
+    ch.postMessage({ type: "hello" });
+    return () => ch.close();
+  }, []);
+  useEffect(() => {
+    sessionStorage.setItem("pp.buzzerPlayer", me);
+  }, [me]);
+
+  const players = state?.players || [];
+  const player = players.find((p) => p.id === me);
+  const round = state?.trivia?.buzz;
+  const lockoutEnds = round?.lockouts?.[me] || 0;
+  const [, setTick] = useState(0);
+  // Re-render when an early-buzz lockout runs out.
+  useEffect(() => {
+    const left = lockoutEnds - Date.now();
+    if (left <= 0) return;
+    const t = setTimeout(() => setTick((n) => n + 1), left + 20);
+    return () => clearTimeout(t);
+  }, [lockoutEnds]);
+  const buzzIn = () =>
+    player &&
+    channelRef.current?.postMessage({ type: "buzz", playerId: player.id });
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.code !== "Space" || e.repeat) return;
+      e.preventDefault();
+      buzzIn();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  if (!player)
+    return (
+      <div className="min-h-screen bg-gray-900 text-white p-6">
+        <h1 className="text-2xl font-bold">Who is buzzing on this device?</h1>
+        {!players.length && (
+          <p className="mt-3 text-gray-300">
+            Waiting for the teacher’s window… it must be open in this same
+            browser.
+          </p>
+        )}
+        <div className="mt-4 grid sm:grid-cols-2 gap-3">
+          {players.map((p) => (
             <button
-              className="px-3 py-2 rounded-md text-white"
-              style={{ background: "linear-gradient(90deg,#34d399,#60a5fa)" }}
+              key={p.id}
+              onClick={() => setMe(p.id)}
+              className="rounded-2xl p-4 text-xl font-bold bg-gray-800 border-2 border-gray-700 text-left"
+              style={{ boxShadow: `inset 8px 0 0 ${p.color || "transparent"}` }}
             >
-              Solve (+500)
+              {p.avatar ? `${p.avatar} ` : ""}
+              {p.name}
             </button>
-          </form>
+          ))}
         </div>
       </div>
-    </section>
+    );
+
+  const lockedOut = lockoutEnds > Date.now();
+  let status = "Waiting for the next clue…";
+  let live = false;
+  if (round) {
+    if (round.lockedIn === me) status = "You’re in! Answer now.";
+    else if (round.out.includes(me)) status = "You’ve answered this one.";
+    else if (round.lockedIn)
+      status = `${
+        players.find((p) => p.id === round.lockedIn)?.name || "Someone"
+      } got in first.`;
+    else if (lockedOut) status = "Too early! Locked out for a moment…";
+    else if (!round.open) status = "Wait for the clue to be read…";
+    else {
+      status = "BUZZ!";
+      live = true;
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-6 flex flex-col gap-4">
+      <div className="flex items-center justify-between">
+        <div className="text-xl font-bold">
+          {player.avatar ? `${player.avatar} ` : ""}
+          {player.name} · {formatPoints(player.score || 0, state.unit)}
+        </div>
+        <button className="text-sm underline" onClick={() => setMe("")}>
+          Change
+        </button>
+      </div>
+      <button
+        onClick={buzzIn}
+        className={cx(
+          "flex-1 rounded-3xl text-5xl font-black border-4",
+          round?.lockedIn === me
+            ? "bg-green-500 border-green-300"
+            : live
+            ? "bg-red-600 border-red-400"
+            : "bg-gray-700 border-gray-600"
+        )}
+        style={{ minHeight: "50vh" }}
+      >
+        {status}
+      </button>
+      <p className="text-center text-sm text-gray-400">
+        Tap the button or press the space bar.
+      </p>
+    </div>
   );
 }
 
 // ---------- Main App ----------
+// The same bundle serves the teacher's window and the projector window.
 export default function App() {
-  const [apiKey, setApiKey] = useState("");
+  const role = displayRole();
+  if (role === "audience") return <AudienceDisplay />;
+  if (role === "buzzer") return <BuzzerPad />;
+  return <PresenterApp />;
+}
+
+function PresenterApp() {
+  const [ai, setAi] = useState(loadAiSettings);
+  const [settings, setSettings] = useState(loadLessonSettings);
   const [mode, setMode] = useState("url");
   const [url, setUrl] = useState("");
   const [rawText, setRawText] = useState("");
+  const [upload, setUpload] = useState(null); // an extracted file's pages
+  const [fetched, setFetched] = useState(null); // the previewed URL's page
+  const [fetcher, setFetcher] = useState(loadFetchSettings);
+  const [sourceText, setSourceText] = useState("");
+  const [meta, setMeta] = useState(null);
+  const packInputRef = useRef(null);
 
   const [summary, setSummary] = useState("");
   const [vocab, setVocab] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [buildStep, setBuildStep] = useState(""); // progress of a long build
+  const [exporting, setExporting] = useState(false);
   const [error, setError] = useState("");
 
   const [board, setBoard] = useState(null);
-  const [players, setPlayers] = useState([
-    { name: "Player 1", score: 0 },
-    { name: "Player 2", score: 0 },
-  ]);
+  const [scoreboard, dispatchScore] = useReducer(
+    scoreLedgerReducer,
+    null,
+    () => ({ players: defaultPlayers(), log: [], redo: [] })
+  );
+  const { players, log: scoreLog } = scoreboard;
+  const setPlayers = useCallback(
+    (update) => dispatchScore({ type: "players", update }),
+    []
+  );
+  const onScore = useCallback(
+    (change) => dispatchScore({ type: "score", ...change }),
+    []
+  );
 
-  // Ensure Tailwind once
+  // Saved games: offered once on load; `restored` seeds the game components
+  // when they mount, and gameEpoch remounts them for an explicit New game.
+  const [resumeOffer, setResumeOffer] = useState(() => {
+    const lesson = readStored(LESSON_SAVE_KEY);
+    const session = loadGameSession(lesson?.meta?.lessonId);
+    return lesson && session ? { lesson, session } : null;
+  });
+  const [restored, setRestored] = useState(null);
+  const [gameEpoch, setGameEpoch] = useState(0);
+  const lessonId = meta?.lessonId;
+  // The seed drives every random pick in both games; a Wonder Wheel replay
+  // is its recorded actions played back on the same seed.
+  const [gameSeed, setGameSeed] = useState(newSeed);
+  const [replayWheel, setReplayWheel] = useState(null);
+  const [wheelEpoch, setWheelEpoch] = useState(0);
+  const [timers, setTimers] = useState(loadTimers);
   useEffect(() => {
-    const id = "tailwind-cdn";
-    if (!document.getElementById(id)) {
-      const l = document.createElement("link");
-      l.id = id;
-      l.rel = "stylesheet";
-      l.href =
-        "https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css";
-      document.head.appendChild(l);
-    }
+    writeStored(TIMERS_KEY, timers);
+  }, [timers]);
+
+  // Dual-screen: games report answer-free snapshots; the latest is kept in a
+  // ref so an audience window that says hello gets it straight away.
+  const channelRef = useRef(null);
+  const displayRef = useRef({});
+  const [audienceFocus, setAudienceFocus] = useState("trivia");
+  const postDisplay = useCallback(() => {
+    channelRef.current?.postMessage({
+      type: "state",
+      state: displayRef.current,
+    });
   }, []);
+  const publishDisplay = useCallback(
+    (part, snapshot) => {
+      const prev = displayRef.current[part];
+      displayRef.current = { ...displayRef.current, [part]: snapshot };
+      // Follow the action: opening a clue or spinning brings that game up.
+      if (part === "trivia" && snapshot?.clue && !prev?.clue)
+        setAudienceFocus("trivia");
+      if (part === "wheel" && snapshot?.spin && snapshot.spin !== prev?.spin)
+        setAudienceFocus("wheel");
+      postDisplay();
+    },
+    [postDisplay]
+  );
+
+  useTailwindCdn();
+
+  useEffect(() => {
+    const ch = openDisplayChannel();
+    channelRef.current = ch;
+    if (!ch) return;
+    ch.onmessage = (e) => {
+      if (e.data?.type === "hello") postDisplay();
+    };
+    return () => {
+      ch.close();
+      channelRef.current = null;
+    };
+  }, [postDisplay]);
+  useEffect(() => {
+    displayRef.current = {
+      ...displayRef.current,
+      players,
+      unit: board?.unit,
+      focus: audienceFocus,
+    };
+    postDisplay();
+  }, [players, board?.unit, audienceFocus, postDisplay]);
+
+  useEffect(() => {
+    localStorage.setItem("pp.lessonSettings", JSON.stringify(settings));
+  }, [settings]);
+  useEffect(() => {
+    writeStored(FETCH_SETTINGS_KEY, fetcher);
+  }, [fetcher]);
+
+  useEffect(() => {
+    if (!lessonId) return;
+    saveCurrentLesson({
+      source: { mode, url, text: sourceText },
+      summary,
+      vocab,
+      board,
+      meta,
+    });
+  }, [lessonId, mode, url, sourceText, summary, vocab, board, meta]);
+  useEffect(() => {
+    saveGameSession(lessonId, { players, scoreLog, seed: gameSeed });
+  }, [lessonId, players, scoreLog, gameSeed]);
+
+  // URL mode only knows its text once the page has been previewed.
+  const sourceSize = useMemo(
+    () => sourcePlan(mode === "url" && fetched?.url !== url ? "" : rawText),
+    [mode, url, fetched, rawText]
+  );
 
   async function onBuild() {
     setError("");
+    setResumeOffer(null);
     setLoading(true);
     try {
-      if (!apiKey) throw new Error("Please enter your Gemini API key.");
-
       let text = rawText;
       if (mode === "url") {
         if (!url) throw new Error("Enter a URL or switch to Paste Text.");
-        text = await proxyFetchText(url);
+        // A previewed page builds from its (possibly trimmed) preview.
+        if (fetched?.url !== url) {
+          const page = await fetchArticle(url.trim(), fetcher);
+          setFetched({ url, title: page.title });
+          setRawText(page.text);
+          text = page.text;
+        }
       }
+      if (mode === "file" && !upload)
+        throw new Error("Choose a file to upload or switch to Paste Text.");
       if (!text || text.length < 60)
         throw new Error("Not enough text to summarize.");
+      const plan = sourcePlan(text);
+      if (plan.tooLong)
+        throw new Error(
+          `This source would be read in ${plan.parts} parts, more than one lesson can take (${MAX_SOURCE_PARTS}). Trim it or pick fewer pages, then build again.`
+        );
 
-      // 1) summary + vocab
-      const out = await geminiSummarizeAndVocab({ apiKey, text });
+      // 1) summary + vocab, read in parts if the source is long
+      const out = await aiSummarizeAndVocab({
+        ai,
+        text,
+        settings,
+        onProgress: setBuildStep,
+      });
       const cleanedVocab = (out.vocab || [])
         .map((v) => ({
+          id: uid("term"),
           term: String(v.term || "").trim(),
           definition: String(v.definition || "").trim(),
+          wheel: true,
         }))
         .filter((v) => v.term && v.definition)
-        .slice(0, 16);
+        .slice(0, settings.vocabMax);
 
       setSummary(out.summary || "");
       setVocab(cleanedVocab);
 
-      // 2) Teacher's Trivia board
-      const b = await geminiBuildJeopardy({ apiKey, text });
+      // 2) Teacher's Trivia board, from the merged notes of a long source
+      setBuildStep(plan.parts > 1 ? "Writing the trivia board…" : "");
+      const b = await aiBuildJeopardy({
+        ai,
+        text: out.digest || text,
+        settings,
+      });
       setBoard(b);
+      setSourceText(text);
+      setRestored(null);
+      setMeta({
+        lessonId: uid("lesson"),
+        provider: ai.provider,
+        model: ai.model,
+        promptVersion: PROMPT_VERSION,
+        settings,
+        generatedAt: new Date().toISOString(),
+      });
 
       setTimeout(
         () =>
@@ -1309,15 +8067,209 @@ export default function App() {
       setError(e.message || String(e));
     } finally {
       setLoading(false);
+      setBuildStep("");
+    }
+  }
+
+  async function onExportSlides() {
+    setError("");
+    setExporting(true);
+    try {
+      await exportLessonPptx({
+        title: "Lesson Review",
+        source: mode === "url" ? url : "",
+        summary,
+        vocab,
+        board,
+      });
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  function onSavePack() {
+    const pack = buildLessonPack({
+      source: {
+        mode,
+        url: mode === "url" ? url : "",
+        text: sourceText || rawText,
+      },
+      summary,
+      vocab,
+      board,
+      meta,
+    });
+    downloadJSON(
+      pack,
+      `lesson-pack-${new Date().toISOString().slice(0, 10)}.json`
+    );
+  }
+
+  async function onLoadPack(file) {
+    setError("");
+    try {
+      const pack = parseLessonPack(await file.text());
+      setMode(pack.source.mode);
+      setUrl(pack.source.url);
+      setRawText(pack.source.mode === "text" ? pack.source.text : "");
+      setSourceText(pack.source.text);
+      setSummary(pack.summary);
+      setVocab(pack.vocab);
+      setBoard(pack.board);
+      setMeta({ ...pack.meta, lessonId: uid("lesson") });
+      setRestored(null);
+      setResumeOffer(null);
+      if (pack.meta.settings)
+        setSettings((prev) =>
+          normalizeLessonSettings(pack.meta.settings, prev)
+        );
+    } catch (e) {
+      setError(`Couldn't load “${file.name}”: ${e.message || String(e)}`);
     }
   }
 
+  function onResume() {
+    const { lesson, session } = resumeOffer;
+    const source = lesson.source || {};
+    setMode(source.mode === "url" ? "url" : "text");
+    setUrl(source.url || "");
+    setRawText(source.mode === "url" ? "" : source.text || "");
+    setSourceText(source.text || "");
+    setSummary(lesson.summary || "");
+    setVocab(lesson.vocab || []);
+    setBoard(lesson.board || null);
+    setMeta(lesson.meta);
+    dispatchScore({
+      type: "restore",
+      players: session.players,
+      log: session.scoreLog,
+    });
+    if (session.seed) setGameSeed(session.seed);
+    setRestored(session);
+    setResumeOffer(null);
+  }
+
+  function onDiscardResume() {
+    clearGameSession(resumeOffer.lesson.meta?.lessonId);
+    localStorage.removeItem(LESSON_SAVE_KEY);
+    setResumeOffer(null);
+  }
+
+  function startNewGame({ seed = newSeed() } = {}) {
+    clearGameSession(lessonId);
+    setRestored(null);
+    dispatchScore({ type: "reset" });
+    setGameSeed(seed);
+    setReplayWheel(null);
+    setGameEpoch((n) => n + 1);
+  }
+
+  function onNewGame() {
+    if (
+      !window.confirm(
+        "Start a new game? All scores and both games reset; the lesson stays."
+      )
+    )
+      return;
+    startNewGame();
+  }
+
+  function onSetSeed() {
+    const seed = window
+      .prompt(
+        "Games with the same seed and the same moves play out identically. Start a new game with seed:",
+        gameSeed
+      )
+      ?.trim()
+      .toUpperCase();
+    if (!seed) return;
+    if (
+      !window.confirm(
+        `Start a new game with seed ${seed}? All scores and both games reset; the lesson stays.`
+      )
+    )
+      return;
+    startNewGame({ seed });
+  }
+
+  // Only the wheel starts over. Its winnings come off through the ledger, so
+  // the history stays whole, and the replay scores them again.
+  function onReplayWheel(actions) {
+    if (
+      !window.confirm(
+        "Replay this Wonder Wheel game from the start? Its winnings come off the scores, then every move is played back. Teacher's Trivia isn't affected."
+      )
+    )
+      return;
+    const won = {};
+    scoreLog
+      .filter((e) => e.game === "wheel")
+      .forEach((e) => (won[e.playerId] = (won[e.playerId] || 0) + e.delta));
+    Object.entries(won).forEach(([playerId, delta]) =>
+      onScore({
+        playerId,
+        delta: -delta,
+        reason: "Replay: winnings cleared",
+        game: "wheel",
+      })
+    );
+    saveGameSession(lessonId, { wheel: null });
+    setRestored((r) => r && { ...r, wheel: null });
+    setReplayWheel(actions);
+    setWheelEpoch((n) => n + 1);
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Header />
 
       <main className="max-w-6xl mx-auto p-4 sm:p-6 space-y-5">
-        <ApiKeyPanel apiKey={apiKey} setApiKey={setApiKey} />
+        {resumeOffer && (
+          <section className="border border-amber-300 bg-amber-50 rounded-2xl p-4 sm:p-5 flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h2 className="font-semibold text-lg">Resume game?</h2>
+              <p className="text-sm text-gray-700">
+                A game for{" "}
+                <b>
+                  {(resumeOffer.lesson.vocab || [])
+                    .slice(0, 3)
+                    .map((v) => v.term)
+                    .join(", ") || "your last lesson"}
+                </b>{" "}
+                was saved{" "}
+                {new Date(resumeOffer.session.savedAt).toLocaleString()}
+                {resumeOffer.session.players?.length
+                  ? ` · ${resumeOffer.session.players
+                      .map(
+                        (p) =>
+                          `${p.name} ${formatPoints(
+                            p.score || 0,
+                            resumeOffer.lesson.board?.unit
+                          )}`
+                      )
+                      .join(", ")}`
+                  : ""}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={onResume}
+                className="px-4 py-2 rounded-xl bg-indigo-600 text-white"
+              >
+                Resume game
+              </button>
+              <button
+                onClick={onDiscardResume}
+                className="px-4 py-2 rounded-xl border bg-white"
+              >
+                Discard
+              </button>
+            </div>
+          </section>
+        )}
+        <ProviderPanel ai={ai} setAi={setAi} />
         <SourceInput
           mode={mode}
           setMode={setMode}
@@ -1325,24 +8277,98 @@ export default function App() {
           setUrl={setUrl}
           rawText={rawText}
           setRawText={setRawText}
+          upload={upload}
+          setUpload={setUpload}
+          fetcher={fetcher}
+          setFetcher={setFetcher}
+          fetched={fetched}
+          setFetched={setFetched}
         />
 
-        <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm flex items-center justify-between">
-          <div>
-            <h2 className="font-semibold text-lg">Build Lesson</h2>
-            <p className="text-sm text-gray-600">
-              Summarize → extract vocab → create games (Teacher’s Trivia, Wonder
-              Wheel).
-            </p>
+        <section className="border rounded-2xl p-4 sm:p-5 bg-white shadow-sm">
+          <div className="flex flex-wrap gap-3 items-center justify-between">
+            <div>
+              <h2 className="font-semibold text-lg">Build Lesson</h2>
+              <p className="text-sm text-gray-600">
+                Summarize → extract vocab → create games (Teacher’s Trivia,
+                Wonder Wheel).
+              </p>
+              {sourceSize.words > 0 && (
+                <p
+                  className={cx(
+                    "text-xs mt-1",
+                    sourceSize.tooLong ? "text-red-600" : "text-gray-500"
+                  )}
+                >
+                  Source: {sourceSize.words.toLocaleString()} words · ~
+                  {sourceSize.tokens.toLocaleString()} tokens ·{" "}
+                  {sourceSize.tooLong
+                    ? `too long (${sourceSize.parts} parts; the limit is ${MAX_SOURCE_PARTS})`
+                    : sourceSize.parts > 1
+                    ? `read in ${sourceSize.parts} parts (${
+                        sourceSize.parts + 2
+                      } AI calls)`
+                    : "one pass"}
+                </p>
+              )}
+              {meta?.generatedAt && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Built {new Date(meta.generatedAt).toLocaleString()} with{" "}
+                  {AI_PROVIDERS[meta.provider]?.label || meta.provider}
+                  {meta.model ? ` (${meta.model})` : ""}
+                  {meta.importedAt ? " · loaded from a lesson pack" : ""}
+                </p>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={onBuild}
+                disabled={loading}
+                className="px-4 py-2 rounded-xl bg-indigo-600 text-white disabled:opacity-60"
+              >
+                {loading ? buildStep || "Building…" : "Summarize & Build Games"}
+              </button>
+              <button
+                onClick={onExportSlides}
+                disabled={exporting || !(summary || vocab.length || board)}
+                className="px-4 py-2 rounded-xl border bg-white disabled:opacity-60"
+                title="Download a .pptx deck with the summary, vocab and trivia board"
+              >
+                {exporting ? "Exporting…" : "Export to slides"}
+              </button>
+              <button
+                onClick={onSavePack}
+                disabled={!(summary || vocab.length || board)}
+                className="px-4 py-2 rounded-xl border bg-white disabled:opacity-60"
+                title="Download the whole lesson as a lesson pack (.json)"
+              >
+                Save pack
+              </button>
+              <button
+                onClick={() => packInputRef.current?.click()}
+                className="px-4 py-2 rounded-xl border bg-white"
+                title="Open a lesson pack saved earlier or shared by a colleague"
+              >
+                Load pack
+              </button>
+              <input
+                ref={packInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  e.target.value = "";
+                  if (f) onLoadPack(f);
+                }}
+              />
+            </div>
           </div>
-          <div className="flex gap-2">
-            <button
-              onClick={onBuild}
-              disabled={loading}
-              className="px-4 py-2 rounded-xl bg-indigo-600 text-white disabled:opacity-60"
-            >
-              {loading ? "Building…" : "Summarize & Build Games"}
-            </button>
+          <div className="mt-4 pt-4 border-t">
+            <LessonSettingsPanel
+              settings={settings}
+              setSettings={setSettings}
+            />
           </div>
         </section>
 
@@ -1353,21 +8379,91 @@ export default function App() {
         )}
 
         <SummaryCard summary={summary} />
-        <VocabList vocab={vocab} />
+        <VocabList vocab={vocab} setVocab={setVocab} />
+
+        {(board || vocab?.length > 0) && lessonId && (
+          <div className="flex flex-wrap items-center justify-end gap-3 text-sm text-gray-500">
+            <span className="mr-auto">
+              Game progress autosaves on this device.
+            </span>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => {
+                  if (!openAudienceWindow())
+                    setError(
+                      "The audience window was blocked. Allow pop-ups for this site and try again."
+                    );
+                }}
+                className="px-3 py-1.5 rounded-lg border bg-white text-gray-800"
+                title="Open an answer-free window to drag onto the projector"
+              >
+                📺 Audience display
+              </button>
+              <select
+                value={audienceFocus}
+                onChange={(e) => setAudienceFocus(e.target.value)}
+                className="border rounded-lg px-2 py-1.5 bg-white text-gray-800"
+                title="Which game the audience window shows"
+              >
+                <option value="trivia">shows Trivia</option>
+                <option value="wheel">shows Wheel</option>
+              </select>
+            </div>
+            <ScoreLedger
+              players={players}
+              unit={board?.unit}
+              log={scoreLog}
+              redo={scoreboard.redo}
+              dispatch={dispatchScore}
+            />
+            <TimerSettings timers={timers} setTimers={setTimers} />
+            <button
+              onClick={onSetSeed}
+              className="px-3 py-1.5 rounded-lg border bg-white text-gray-800 font-mono"
+              title="Random seed for this game; click to start a game with a chosen seed"
+            >
+              🎲 {gameSeed}
+            </button>
+            <button
+              onClick={onNewGame}
+              className="px-3 py-1.5 rounded-lg border bg-white text-gray-800"
+            >
+              New game
+            </button>
+          </div>
+        )}
 
         {board && (
           <TeachersTrivia
+            key={`trivia-${lessonId}-${gameEpoch}`}
+            seed={gameSeed}
+            timers={timers}
+            saved={restored?.trivia}
+            onSave={(trivia) => saveGameSession(lessonId, { trivia })}
+            onDisplay={(snap) => publishDisplay("trivia", snap)}
             board={board}
+            setBoard={setBoard}
             players={players}
             setPlayers={setPlayers}
+            onScore={onScore}
           />
         )}
 
         {vocab?.length > 0 && (
           <WonderWheel
+            key={`wheel-${lessonId}-${gameEpoch}-${wheelEpoch}`}
+            seed={gameSeed}
+            timers={timers}
+            replay={replayWheel}
+            onReplay={onReplayWheel}
+            saved={restored?.wheel}
+            onSave={(wheel) => saveGameSession(lessonId, { wheel })}
+            onDisplay={(snap) => publishDisplay("wheel", snap)}
             vocab={vocab}
             players={players}
             setPlayers={setPlayers}
+            unit={board?.unit}
+            onScore={onScore}
           />
         )}
       </main>
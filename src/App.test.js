@@ -0,0 +1,854 @@
+import {
+  docxXmlToText,
+  dropRunningLines,
+  estimateTokens,
+  extractArticle,
+  initTriviaState,
+  initWheelState,
+  judgeAnswer,
+  markdownToText,
+  mergeChunkVocab,
+  normalizeAnswer,
+  normalizeLessonSettings,
+  parseClassList,
+  parseLessonPack,
+  scoreLedgerReducer,
+  sourcePlan,
+  splitSource,
+  tidySourceText,
+  triviaBoardDone,
+  triviaReducer,
+  wheelCanSpin,
+  wheelLayout,
+  wheelReducer,
+} from "./App";
+
+const players = [
+  { id: "p1", name: "Ana", score: 0 },
+  { id: "p2", name: "Ben", score: 0 },
+  { id: "p3", name: "Cy", score: 0 },
+];
+
+// Runs actions through a reducer with the same ctx, the way useGameEngine
+// does, and collects every effect the rules asked for.
+function runner(reducer, ctx) {
+  return (state, ...actions) =>
+    actions.reduce(
+      (s, action) => reducer(s, { ...action, ctx: { ...ctx, now: 1000 } }),
+      state
+    );
+}
+const scores = (state) =>
+  state.effects
+    .filter((fx) => fx.type === "score")
+    .map(({ playerId, delta }) => [playerId, delta]);
+const sounds = (state) =>
+  state.effects.filter((fx) => fx.type === "sound").map((fx) => fx.name);
+const cleared = (state) => ({ ...state, effects: [] });
+
+describe("lesson settings", () => {
+  test("fills gaps with defaults and clamps vocab counts", () => {
+    const s = normalizeLessonSettings({ grade: 7, vocabMin: 40, vocabMax: 2 });
+    expect(s.grade).toBe("7");
+    expect(s.vocabMin).toBe(25);
+    expect(s.vocabMax).toBe(25);
+    expect(s.tone).toBe("friendly");
+  });
+
+  test("keeps the current settings where an imported one is invalid", () => {
+    const current = normalizeLessonSettings({ grade: "2", vocabMax: 10 });
+    const s = normalizeLessonSettings(
+      { grade: "banana", vocabMax: null, tone: "academic", boardRows: 9 },
+      current
+    );
+    expect(s.grade).toBe("2");
+    expect(s.vocabMax).toBe(10);
+    expect(s.tone).toBe("academic");
+    expect(s.boardRows).toBe(5);
+  });
+});
+
+describe("score ledger", () => {
+  const start = { players, log: [], redo: [] };
+  const ledger = (...actions) => actions.reduce(scoreLedgerReducer, start);
+  const totals = (state) => state.players.map((p) => [p.id, p.score]);
+  const score = (playerId, delta) => ({ type: "score", playerId, delta });
+
+  test("removing a player who scored is an entry undo can reverse", () => {
+    const drop = { type: "players", update: (ps) => ps.slice(1) };
+    const s = ledger(score("p1", 300), score("p2", 100), drop);
+    expect(totals(s)).toEqual([
+      ["p2", 100],
+      ["p3", 0],
+    ]);
+    expect(s.log[2]).toMatchObject({ delta: -300, name: "Ana" });
+
+    const undone = ledger(score("p1", 300), score("p2", 100), drop, {
+      type: "undo",
+    });
+    expect(totals(undone)).toEqual([
+      ["p1", 300],
+      ["p2", 100],
+      ["p3", 0],
+    ]);
+    expect(
+      totals(
+        scoreLedgerReducer(scoreLedgerReducer(undone, { type: "undo" }), {
+          type: "undo",
+        })
+      )
+    ).toEqual([
+      ["p1", 0],
+      ["p2", 0],
+      ["p3", 0],
+    ]);
+    expect(totals(scoreLedgerReducer(undone, { type: "redo" }))).toEqual(
+      totals(s)
+    );
+  });
+
+  test("replacing the roster can be undone; unscored players just go", () => {
+    const fresh = [{ id: "n1", name: "Team 1", score: 0 }];
+    const s = ledger(score("p2", 200), { type: "players", update: fresh });
+    expect(s.log[1]).toMatchObject({ reason: "Roster replaced", delta: -200 });
+    expect(totals(scoreLedgerReducer(s, { type: "undo" }))).toEqual(
+      totals(ledger(score("p2", 200)))
+    );
+    const quiet = ledger({ type: "players", update: (ps) => ps.slice(0, 2) });
+    expect(quiet.log).toEqual([]);
+  });
+});
+
+describe("class lists", () => {
+  test("keeps quoted commas inside one cell", () => {
+    const csv =
+      'Name,Team\n"Smith, John",Team A\n"O""Neil, Pat";Team B\nAna Lee,';
+    expect(parseClassList(csv)).toEqual([
+      { name: "Smith, John", team: "Team A" },
+      { name: 'O"Neil, Pat', team: "Team B" },
+      { name: "Ana Lee", team: "" },
+    ]);
+  });
+});
+
+describe("Wonder Wheel engine", () => {
+  const cash = { id: "w1", label: "$300", type: "points", value: 300 };
+  const bank = [
+    {
+      answer: "Green leaf",
+      category: "Thing",
+      term: "Green leaf",
+      definition: "The green leaf makes food from light.",
+    },
+    { answer: "Roots", category: "Thing", term: "Roots", definition: "" },
+  ];
+  const ctx = {
+    players,
+    bank,
+    wedges: [cash],
+    layout: wheelLayout([cash]),
+    vowelCost: 250,
+  };
+  const run = runner(wheelReducer, ctx);
+  const fresh = (seed = "TEST") => initWheelState(null, seed);
+  // Landed on $300 and waiting for a consonant.
+  const onCash = (patch) => ({
+    ...fresh(),
+    result: cash,
+    canGuess: true,
+    ...patch,
+  });
+
+  test("a spin queues its landing and lands on the wedge under the pointer", () => {
+    const spun = run(fresh(), { type: "spin" });
+    expect(spun.spinning).toBe(true);
+    expect(spun.canGuess).toBe(false);
+    expect(spun.effects).toEqual([
+      { type: "later", ms: spun.spin.ms, action: { type: "land" } },
+    ]);
+    expect(run(spun, { type: "spin" })).toBe(spun);
+
+    const landed = run(cleared(spun), spun.effects[0].action);
+    expect(landed.spinning).toBe(false);
+    expect(landed.result).toBe(cash);
+    expect(landed.canGuess).toBe(true);
+    expect(landed.currentDeg).toBe(spun.spin.target);
+    // No re-spinning for a better wedge instead of calling a letter.
+    expect(run(landed, { type: "spin" })).toBe(landed);
+    expect(run(landed, { type: "fling", deg: 0, v: 2000 })).toBe(landed);
+  });
+
+  test("the same seed spins the same way; another seed doesn't", () => {
+    const target = (seed) => run(fresh(seed), { type: "spin" }).spin;
+    expect(target("ABC123")).toEqual(target("ABC123"));
+    expect(target("ABC123").v0).not.toBe(target("XYZ789").v0);
+  });
+
+  test("the Spin button lands on the wedge the odds pick", () => {
+    const wedges = Array.from({ length: 12 }, (_, i) => ({
+      ...cash,
+      id: `w${i}`,
+      odds: i === 7 ? 1 : 0,
+    }));
+    const spinOn = runner(wheelReducer, {
+      ...ctx,
+      wedges,
+      layout: wheelLayout(wedges),
+    });
+    for (const seed of ["ABC123", "XYZ789", "TEST", "QQQ111", "LMN456"]) {
+      const spun = spinOn(fresh(seed), { type: "spin" });
+      const landed = spinOn(cleared(spun), spun.effects[0].action);
+      expect(landed.result.id).toBe("w7");
+    }
+  });
+
+  test("weak flings only move the wheel", () => {
+    const s = run(fresh(), { type: "fling", deg: 42, v: 200 });
+    expect(s.spinning).toBe(false);
+    expect(s.currentDeg).toBe(42);
+    expect(s.flingNote).toMatch(/Too gentle/);
+    expect(run(fresh(), { type: "fling", deg: 42, v: 2000 }).spinning).toBe(
+      true
+    );
+  });
+
+  test("a consonant pays per letter into the round bank", () => {
+    const s = run(onCash(), { type: "letter", letter: "e" });
+    expect(s.note).toMatch(/Vowels are bought/);
+    const hit = run(onCash(), { type: "letter", letter: "n" });
+    expect(hit.roundBank).toEqual({ p1: 300 });
+    expect(hit.guessed).toEqual(["N"]);
+    expect(hit.canGuess).toBe(false);
+    expect(hit.active).toBe(0);
+    expect(scores(hit)).toEqual([]);
+    expect(sounds(hit)).toEqual(["success"]);
+  });
+
+  test("a miss or a repeated letter passes the turn", () => {
+    const miss = run(onCash(), { type: "letter", letter: "z" });
+    expect(miss.active).toBe(1);
+    expect(miss.guessed).toEqual(["Z"]);
+    expect(sounds(miss)).toEqual(["fail"]);
+    const repeat = run(onCash({ guessed: ["N"] }), {
+      type: "letter",
+      letter: "N",
+    });
+    expect(repeat.active).toBe(1);
+    expect(repeat.note).toMatch(/already called/);
+  });
+
+  test("running out of time passes the turn, but not mid-spin", () => {
+    const late = run(onCash(), { type: "timeout" });
+    expect(late.active).toBe(1);
+    expect(late.canGuess).toBe(false);
+    expect(late.note).toMatch(/Time’s up/);
+    expect(scores(late)).toEqual([]);
+    const spun = run(fresh(), { type: "spin" });
+    expect(run(spun, { type: "timeout" })).toBe(spun);
+  });
+
+  test("hints wait for the wheel, and a finished round ignores the landing", () => {
+    const spun = run(fresh(), { type: "spin" });
+    expect(run(spun, { type: "reveal" })).toBe(spun);
+    expect(run(spun, { type: "context" })).toBe(spun);
+
+    const over = run(onCash({ guessed: ["G", "R", "E", "L", "A", "F"] }), {
+      type: "letter",
+      letter: "N",
+    });
+    expect(over.summary).toBeTruthy();
+    const stale = { ...over, canGuess: true };
+    expect(run(stale, { type: "letter", letter: "Z" })).toBe(stale);
+    const late = run(cleared({ ...over, spinning: true, spin: spun.spin }), {
+      type: "land",
+    });
+    expect(late.spinning).toBe(false);
+    expect(late.canGuess).toBe(false);
+    expect(late.active).toBe(over.active);
+    expect(late.roundBank).toEqual(over.roundBank);
+    expect(late.effects).toEqual([]);
+  });
+
+  test("bonus and double wedges", () => {
+    const bonus = { type: "bonus", value: 200 };
+    const double = { type: "double" };
+    expect(
+      run(onCash({ result: bonus }), { type: "letter", letter: "N" }).roundBank
+    ).toEqual({ p1: 100 + 200 });
+    expect(
+      run(onCash({ result: double, roundBank: { p1: 400 } }), {
+        type: "letter",
+        letter: "N",
+      }).roundBank
+    ).toEqual({ p1: 800 });
+  });
+
+  test("BANKRUPT empties only the spinner's round bank", () => {
+    const bust = { id: "w2", type: "bankrupt" };
+    const runBust = runner(wheelReducer, {
+      ...ctx,
+      wedges: [bust],
+      layout: wheelLayout([bust]),
+    });
+    const s = runBust(
+      { ...fresh(), roundBank: { p1: 900, p2: 500 } },
+      { type: "spin" },
+      { type: "land" }
+    );
+    expect(s.result).toBe(bust);
+    expect(s.roundBank).toEqual({ p1: 0, p2: 500 });
+    expect(s.active).toBe(1);
+    expect(s.canGuess).toBe(false);
+  });
+
+  test("vowels cost the round bank and can't go into debt", () => {
+    const broke = run(fresh(), { type: "vowel", letter: "E" });
+    expect(broke.note).toMatch(/costs \$250/);
+    expect(broke.guessed).toEqual([]);
+    const s = run(
+      { ...fresh(), roundBank: { p1: 400 } },
+      { type: "vowel", letter: "E" }
+    );
+    expect(s.roundBank).toEqual({ p1: 150 });
+    expect(s.guessed).toEqual(["E"]);
+    expect(s.active).toBe(0);
+    expect(
+      run(onCash({ roundBank: { p1: 400 } }), { type: "vowel", letter: "E" })
+        .guessed
+    ).toEqual([]);
+  });
+
+  test("solving banks the round money plus the solve bonus", () => {
+    const s = run(
+      { ...fresh(), roundBank: { p1: 600, p2: 300 } },
+      { type: "solve", guess: "green-leaf" }
+    );
+    expect(scores(s)).toEqual([
+      ["p1", 600],
+      ["p1", 500],
+    ]);
+    expect(s.summary.solver).toBe("p1");
+    expect(s.summary.rows.map((r) => r.banked)).toEqual([1100, 0, 0]);
+    expect(s.summary.rows[1].round).toBe(300);
+
+    const wrong = run(fresh(), { type: "solve", guess: "green leaves" });
+    expect(scores(wrong)).toEqual([]);
+    expect(wrong.active).toBe(1);
+
+    // The spin has to land on the player who spun it.
+    const spun = run(fresh(), { type: "spin" });
+    expect(run(spun, { type: "solve", guess: "green leaf" })).toBe(spun);
+    expect(run(spun, { type: "solve", guess: "wrong" })).toBe(spun);
+  });
+
+  test("the puzzle completes once, however many actions race for it", () => {
+    const almost = onCash({
+      guessed: ["G", "R", "E", "L", "A", "F"],
+      roundBank: { p1: 100 },
+    });
+    const s = run(
+      almost,
+      { type: "letter", letter: "N" },
+      { type: "letter", letter: "N" },
+      { type: "reveal" },
+      { type: "solve", guess: "GREEN LEAF" }
+    );
+    expect(scores(s)).toEqual([
+      ["p1", 400],
+      ["p1", 200],
+    ]);
+    expect(s.effects.filter((fx) => fx.type === "confetti")).toHaveLength(1);
+    expect(wheelCanSpin(s, "GREEN LEAF")).toBe(false);
+  });
+
+  test("a letter hint picks from the seed and can finish the puzzle for nobody", () => {
+    const reveal = (seed) => run(fresh(seed), { type: "reveal" });
+    expect(reveal("ABC123").guessed).toEqual(reveal("ABC123").guessed);
+    expect(reveal("ABC123").letterHintsLeft).toBe(2);
+    expect(reveal("ABC123").rngState).not.toBe(fresh("ABC123").rngState);
+
+    const s = run(
+      { ...fresh(), guessed: ["G", "R", "E", "L", "A", "F"] },
+      { type: "reveal" }
+    );
+    expect(s.summary.solver).toBe(null);
+    expect(scores(s)).toEqual([]);
+  });
+
+  test("context hints get more specific without giving the answer away", () => {
+    const s = run(
+      fresh(),
+      { type: "context" },
+      { type: "context" },
+      { type: "context" },
+      { type: "context" }
+    );
+    expect(s.contextHints).toHaveLength(3);
+    expect(s.contextHintsLeft).toBe(0);
+    expect(s.contextHints[0]).toMatch(/^It’s 2 words/);
+    expect(s.contextHints[2]).toMatch(/starts with “G”/);
+    s.contextHints.forEach((hint) =>
+      expect(hint.toLowerCase()).not.toContain("green leaf")
+    );
+  });
+
+  test("next puzzle clears the round and moves on", () => {
+    const solved = run(
+      { ...fresh(), roundBank: { p1: 600 }, guessed: ["N"] },
+      { type: "solve", guess: "green leaf" }
+    );
+    const s = run(cleared(solved), { type: "next" });
+    expect(s).toMatchObject({
+      puzzleIdx: 1,
+      roundNo: 2,
+      summary: null,
+      guessed: [],
+      roundBank: {},
+      letterHintsLeft: 3,
+    });
+    expect(run(s, { type: "next" }).puzzleIdx).toBe(0);
+  });
+
+  test("effectsDone drops only the effects that were run", () => {
+    const s = run(onCash(), { type: "letter", letter: "N" });
+    const more = run(s, { type: "context" });
+    expect(
+      wheelReducer(more, { type: "effectsDone", count: 1 }).effects
+    ).toEqual(more.effects.slice(1));
+  });
+
+  test("unknown actions throw", () => {
+    expect(() => run(fresh(), { type: "teleport" })).toThrow(
+      "Unknown wheel action: teleport"
+    );
+  });
+});
+
+describe("Teacher's Trivia engine", () => {
+  const board = {
+    unit: "pts",
+    categories: [
+      {
+        title: "Plants",
+        clues: [
+          { id: "a1", question: "Q1", answer: "A1", value: 100 },
+          { id: "a2", question: "Q2", answer: "A2", value: 200 },
+        ],
+      },
+      {
+        title: "Animals",
+        clues: [
+          { id: "b1", question: "Q3", answer: "A3", value: 100 },
+          { id: "b2", question: "Q4", answer: "A4", value: 200 },
+        ],
+      },
+    ],
+  };
+  const run = runner(triviaReducer, { players, board });
+  // A board with its Daily Double on b2, so a1 is a plain clue.
+  const fresh = (patch) => ({
+    ...initTriviaState(null, "TEST"),
+    dailyDoubles: ["b2"],
+    ...patch,
+  });
+
+  test("Daily Doubles are picked by the seed, off the easiest row", () => {
+    const picked = (seed) =>
+      run(initTriviaState(null, seed), { type: "board" }).dailyDoubles;
+    expect(picked("ABC123")).toEqual(picked("ABC123"));
+    expect(picked("ABC123")).toHaveLength(1);
+    expect(["a2", "b2"]).toContain(picked("ABC123")[0]);
+  });
+
+  test("Daily Doubles skip blank clues", () => {
+    const blank = { id: "a2", question: "", answer: "", value: 200 };
+    const short = {
+      ...board,
+      categories: [
+        {
+          ...board.categories[0],
+          clues: [board.categories[0].clues[0], blank],
+        },
+        board.categories[1],
+      ],
+    };
+    const picked = (seed) =>
+      runner(triviaReducer, { players, board: short })(
+        initTriviaState(null, seed),
+        { type: "board" }
+      ).dailyDoubles;
+    for (const seed of ["ABC123", "XYZ789", "TEST", "QQQ111"])
+      expect(picked(seed)).toEqual(["b2"]);
+  });
+
+  test("board edits keep progress for clues that are still there", () => {
+    const s = run(fresh({ used: ["a1", "gone"] }), { type: "board" });
+    expect(s.used).toEqual(["a1"]);
+    expect(s.dailyDoubles).toEqual(["b2"]);
+  });
+
+  test("a correct answer scores once, marks the tile and closes later", () => {
+    const s = run(
+      fresh(),
+      { type: "open", cIdx: 0, rIdx: 0 },
+      { type: "correct" },
+      { type: "correct" },
+      { type: "incorrect" }
+    );
+    expect(scores(s)).toEqual([["p1", 100]]);
+    expect(s.used).toEqual(["a1"]);
+    expect(s.result).toBe("✅ Correct! +100 pts");
+    const later = s.effects.find((fx) => fx.type === "later");
+    expect(later).toEqual({
+      type: "later",
+      ms: 800,
+      action: { type: "close", clueId: "a1" },
+    });
+    expect(run(s, later.action).clue).toBe(null);
+    expect(s.effects.find((fx) => fx.type === "score").reason).toBe(
+      "Plants 100 pts correct"
+    );
+  });
+
+  test("a late close can't shut the next clue", () => {
+    const s = run(
+      fresh(),
+      { type: "open", cIdx: 0, rIdx: 0 },
+      { type: "correct" },
+      { type: "open", cIdx: 1, rIdx: 0 },
+      { type: "close", clueId: "a1" }
+    );
+    expect(s.clue.clue.id).toBe("b1");
+  });
+
+  test("wrong answers rotate to players who haven't tried", () => {
+    const s = run(
+      fresh({ active: 1 }),
+      { type: "open", cIdx: 0, rIdx: 0 },
+      { type: "incorrect" },
+      { type: "incorrect" }
+    );
+    expect(scores(s)).toEqual([
+      ["p2", -100],
+      ["p3", -100],
+    ]);
+    expect(s.active).toBe(0);
+    expect(s.attempted).toEqual([1, 2]);
+    expect(s.used).toEqual([]);
+  });
+
+  test("a timed-out answer counts as incorrect", () => {
+    const s = run(
+      fresh(),
+      { type: "open", cIdx: 0, rIdx: 0 },
+      { type: "incorrect", timeout: true }
+    );
+    expect(scores(s)).toEqual([["p1", -100]]);
+    expect(s.result).toBe("⏰ Time’s up. -100 pts");
+    expect(s.effects[0].reason).toBe("Plants 100 pts timed out");
+    expect(s.active).toBe(1);
+  });
+
+  test("Daily Doubles take a checked wager from the finder only", () => {
+    const open = run(fresh(), { type: "open", cIdx: 1, rIdx: 1 });
+    expect(open.clue.dailyDouble).toBe(true);
+    expect(run(open, { type: "correct" })).toBe(open);
+    expect(run(open, { type: "wager", amount: 5000 }).clue.wager).toBe(null);
+    const s = run(
+      open,
+      { type: "wager", amount: "150" },
+      { type: "incorrect" }
+    );
+    expect(scores(s)).toEqual([["p1", -150]]);
+    expect(s.used).toEqual(["b2"]);
+  });
+
+  test("buzzers lock out early buzzes and pass down the queue", () => {
+    const open = run(fresh({ buzzMode: true }), {
+      type: "open",
+      cIdx: 0,
+      rIdx: 0,
+    });
+    expect(open.buzz.open).toBe(false);
+    expect(run(open, { type: "correct" })).toBe(open);
+    const s = run(
+      open,
+      { type: "buzz", playerId: "p1" },
+      { type: "openBuzzers" },
+      { type: "buzz", playerId: "p1" },
+      { type: "buzz", playerId: "p3" },
+      { type: "buzz", playerId: "p2" }
+    );
+    expect(s.buzz.early).toEqual(["p1"]);
+    expect(s.buzz.lockedIn).toBe("p3");
+    expect(s.active).toBe(2);
+    const passed = run(s, { type: "incorrect" });
+    expect(scores(passed)).toEqual([["p3", -100]]);
+    expect(passed.buzz.lockedIn).toBe("p2");
+    expect(passed.active).toBe(1);
+    expect(scores(run(passed, { type: "correct" }))).toEqual([
+      ["p3", -100],
+      ["p2", 100],
+    ]);
+  });
+
+  test("passing uses up the tile, and the board completes", () => {
+    const s = run(
+      fresh(),
+      ...[
+        [0, 0],
+        [0, 1],
+        [1, 0],
+        [1, 1],
+      ].flatMap(([cIdx, rIdx]) => [
+        { type: "open", cIdx, rIdx },
+        { type: "pass" },
+      ])
+    );
+    expect(scores(s)).toEqual([]);
+    expect(s.clue).toBe(null);
+    expect(triviaBoardDone(s, board)).toBe(true);
+    expect(triviaBoardDone(fresh(), board)).toBe(false);
+  });
+});
+
+describe("answer checking", () => {
+  const verdict = (guess, answer, alternates) =>
+    judgeAnswer(guess, answer, alternates)?.verdict;
+
+  test("normalizes case, articles, plurals, punctuation and number words", () => {
+    expect(normalizeAnswer("The Leaves!")).toBe("leave");
+    expect(normalizeAnswer("an  Herbivore.")).toBe("herbivore");
+    expect(normalizeAnswer("Twenty-five berries")).toBe("25 berry");
+    expect(normalizeAnswer("1,000 foxes")).toBe("1000 fox");
+    expect(normalizeAnswer("3.5 meters")).toBe("3.5 meter");
+    expect(normalizeAnswer("Photosynthesis")).toBe("photosynthesis");
+  });
+
+  test("accepts exact, reworded and slightly misspelled answers", () => {
+    expect(judgeAnswer("the sun", "Sun")).toEqual({
+      verdict: "correct",
+      confidence: 1,
+      matched: "Sun",
+    });
+    expect(verdict("carnivore", "Carnivores")).toBe("correct");
+    expect(verdict("photosynthesys", "Photosynthesis")).toBe("correct");
+    expect(verdict("chlorophyl", "Chlorophyll")).toBe("correct");
+    expect(verdict("it's photosynthesis", "Photosynthesis")).toBe("correct");
+    expect(verdict("four", "4")).toBe("correct");
+    expect(verdict("carbondioxide", "Carbon dioxide")).toBe("correct");
+  });
+
+  test("accepts alternates and the parts of an answer", () => {
+    expect(judgeAnswer("CO2", "Carbon dioxide", ["CO2"]).matched).toBe("CO2");
+    expect(verdict("glucose", "Sugar (glucose)")).toBe("correct");
+    expect(verdict("sugar", "Sugar (glucose)")).toBe("correct");
+    expect(verdict("autumn", "Fall (autumn)")).toBe("correct");
+    expect(verdict("warmth", "Heat or warmth")).toBe("correct");
+  });
+
+  test("leaves near misses to the teacher and rejects wrong answers", () => {
+    expect(verdict("dioxide", "Carbon dioxide")).toBe("unsure");
+    expect(verdict("chlorofil", "Chlorophyll")).toBe("unsure");
+    expect(verdict("oxygen", "Carbon dioxide")).toBe("incorrect");
+    expect(verdict("1767", "1776")).toBe("incorrect");
+    expect(verdict("cat", "Bat")).not.toBe("correct");
+    expect(judgeAnswer("  ", "Roots")).toBe(null);
+  });
+});
+
+describe("source file text", () => {
+  test("tidies text laid out for print", () => {
+    expect(
+      tidySourceText(
+        "Plants make food by photo-\nsynthesis in their\nleaves.\n\n\n\nChapter 2\nRoots"
+      )
+    ).toBe(
+      "Plants make food by photosynthesis in their leaves.\n\nChapter 2\nRoots"
+    );
+    expect(tidySourceText("The ﬁrst  leaf\u00adlet")).toBe("The first leaflet");
+  });
+
+  test("drops running headers, footers and page numbers", () => {
+    const pages = ["A", "B", "C"].map(
+      (x, n) =>
+        `Biology Unit 4\nPart ${x} begins.\nPart ${x} goes on.\nPart ${x} ends.\nPage ${
+          n + 1
+        } of 3`
+    );
+    expect(dropRunningLines(pages)[1]).toBe(
+      "Part B begins.\nPart B goes on.\nPart B ends."
+    );
+    // Two pages aren't enough to tell a header from the text.
+    expect(dropRunningLines(pages.slice(0, 2))[0]).toBe(
+      "Biology Unit 4\nPart A begins.\nPart A goes on.\nPart A ends."
+    );
+  });
+
+  test("pulls the article out of a web page", () => {
+    const para = (s) =>
+      `<p>${s} ${"Leaves turn light, water and air into sugar. ".repeat(
+        3
+      )}</p>`;
+    const page = `<html><head><title>Photosynthesis | Science Site</title></head><body>
+      <header><a href="/">Home</a></header>
+      <div class="menu"><a href="/a">Biology</a> <a href="/b">Chemistry</a></div>
+      <div id="main-content"><article class="post">
+        <h1>How plants eat</h1>${para("First,")}${para("Second,")}
+        <div class="share-buttons">Share this on social media, please, now</div>
+      </article></div>
+      <div class="sidebar"><p>Ad: Buy seeds, plants, pots and soil here, today only, for less.</p></div>
+      <div class="comments"><p>Great article, thanks, I loved it, really, truly, a lot.</p></div>
+      <footer>© 2024 Science Site</footer></body></html>`;
+    const { title, text } = extractArticle(page);
+    expect(title).toBe("Photosynthesis | Science Site");
+    expect(text).toMatch(/^How plants eat\n\nFirst, Leaves/);
+    expect(text).toContain("Second,");
+    expect(text).not.toMatch(/Home|Biology|Share|seeds|Great article|2024/);
+  });
+
+  test("keeps the whole page when it isn't shaped like an article", () => {
+    expect(
+      extractArticle(
+        "<nav>Home</nav><h1>Cells</h1><p>All living <b>things</b><br>have cells.</p><ul><li>Nucleus</li><li>Wall</li></ul>"
+      ).text
+    ).toBe("Cells\n\nAll living things\nhave cells.\n\nNucleus\n\nWall");
+  });
+
+  test("strips Markdown syntax but keeps the words", () => {
+    expect(
+      markdownToText(
+        "# Cells\n\n> All **living** things have [cells](http://x).\n![img](a.png)\n- *Nucleus*"
+      )
+    ).toBe("Cells\n\nAll living things have cells.\n\n- Nucleus");
+  });
+
+  test("reads paragraphs, tabs and breaks from Word XML", () => {
+    const xml =
+      '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+      "<w:p><w:r><w:t>Stomata</w:t></w:r><w:r><w:tab/><w:t>let gas in.</w:t></w:r></w:p>" +
+      "<w:p></w:p>" +
+      "<w:p><w:r><w:t>Line one</w:t><w:br/><w:t>line two</w:t></w:r></w:p>" +
+      "</w:body></w:document>";
+    expect(docxXmlToText(xml)).toBe(
+      "Stomata\tlet gas in.\n\nLine one\nline two"
+    );
+  });
+});
+
+describe("long sources", () => {
+  // About 100 tokens each.
+  const para = (s) =>
+    `${s} ${"Plants need light and water to grow. ".repeat(10)}`;
+
+  test("estimates tokens from length", () => {
+    expect(estimateTokens("")).toBe(0);
+    expect(estimateTokens("a".repeat(401))).toBe(101);
+  });
+
+  test("splits at paragraphs, keeping headings with their section", () => {
+    const text = [
+      para("One."),
+      para("Two."),
+      "Chapter 2",
+      para("Three."),
+      para("Four."),
+    ].join("\n\n");
+    const parts = splitSource(text, 250);
+    expect(parts).toHaveLength(2);
+    expect(parts[0]).toMatch(/^One\..*\n\nTwo\./s);
+    expect(parts[1]).toMatch(/^Chapter 2\n\nThree\..*\n\nFour\./s);
+  });
+
+  test("starts a new part at a heading once the part is half full", () => {
+    const text = [para("One."), "2.1 Roots", para("Two.")].join("\n\n");
+    expect(splitSource(text, 180)).toEqual([
+      para("One.").trim(),
+      `2.1 Roots\n\n${para("Two.").trim()}`,
+    ]);
+  });
+
+  test("breaks an overlong paragraph between sentences", () => {
+    const parts = splitSource(para("One.") + para("Two."), 120);
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((p) => {
+      expect(p.length).toBeLessThanOrEqual(480);
+      expect(p).toMatch(/\.$/);
+    });
+    expect(parts.join(" ").replace(/\s+/g, " ")).toBe(
+      (para("One.") + para("Two.")).replace(/\s+/g, " ").trim()
+    );
+  });
+
+  test("plans one pass for short sources and refuses huge ones", () => {
+    expect(sourcePlan("Plants grow.")).toEqual({
+      words: 2,
+      tokens: 3,
+      parts: 1,
+      tooLong: false,
+    });
+    const chapter = Array.from({ length: 80 }, (_, i) => para(`P${i}.`)).join(
+      "\n\n"
+    );
+    expect(sourcePlan(chapter).parts).toBe(3);
+    const book = Array.from({ length: 500 }, (_, i) => para(`P${i}.`)).join(
+      "\n\n"
+    );
+    expect(sourcePlan(book).tooLong).toBe(true);
+  });
+
+  test("merges part vocab without duplicates, favoring repeated terms", () => {
+    const v = (term) => ({ term, definition: `About ${term}.` });
+    const notes = [
+      { vocab: [v("Leaf"), v("Stem"), v("Chlorophyll")] },
+      { vocab: [v("the stems"), v("Root"), v("chlorophyll")] },
+      { vocab: [v("Petal"), v("Leaf")] },
+    ];
+    expect(mergeChunkVocab(notes, 3).map((x) => x.term)).toEqual([
+      "Leaf",
+      "Stem",
+      "Chlorophyll",
+    ]);
+    expect(mergeChunkVocab(notes, 10)).toHaveLength(5);
+    expect(mergeChunkVocab(notes, 10)[0].definition).toBe("About Leaf.");
+  });
+});
+
+describe("lesson packs", () => {
+  const pack = (categories) =>
+    JSON.stringify({
+      format: "plug-and-play-lesson-pack",
+      version: 1,
+      vocab: [{ term: "Root" }],
+      board: { categories },
+    });
+  const column = (title, n) => ({
+    title,
+    clues: Array.from({ length: n }, (_, r) => ({
+      question: `${title} Q${r + 1}`,
+      answer: `${title} A${r + 1}`,
+    })),
+  });
+
+  test("ragged columns are padded with blank clues", () => {
+    const { board } = parseLessonPack(
+      pack([column("A", 3), column("B", 2), column("C", 3)])
+    );
+    expect(board.categories.map((cat) => cat.clues.length)).toEqual([3, 3, 3]);
+    expect(board.categories[1].clues[2]).toMatchObject({
+      question: "",
+      answer: "",
+      placeholder: true,
+      value: 300,
+    });
+  });
+
+  test("boards outside the supported sizes are rejected", () => {
+    expect(() => parseLessonPack(pack([column("A", 3)]))).toThrow(
+      "board.categories must be a list of 3 to 6 categories"
+    );
+    expect(() =>
+      parseLessonPack(pack([column("A", 7), column("B", 3), column("C", 3)]))
+    ).toThrow("board.categories must have 3 to 6 clues each");
+  });
+});